@@ -2,7 +2,7 @@
     'use strict';
 
     var addEvent = (function () {
-        if (document.addEventListener) {
+        if (!document || document.addEventListener) {
             return function addStandardEventListener(el, eventName, fn) {
                 return el.addEventListener(eventName, fn, false);
             };
@@ -14,6 +14,19 @@
         }
     })();
 
+    var removeEvent = (function () {
+        if (!document || document.removeEventListener) {
+            return function removeStandardEventListener(el, eventName, fn) {
+                return el.removeEventListener(eventName, fn, false);
+            };
+        }
+        else {
+            return function removeIEEventListener(el, eventName, fn) {
+                return el.detachEvent('on' + eventName, fn);
+            };
+        }
+    })();
+
     var defaultWidths = [96, 130, 165, 200, 235, 270, 304, 340, 375, 410, 445, 485, 520, 555, 590, 625, 660, 695, 736];
 
     var getKeys = typeof Object.keys === 'function' ? Object.keys : function (object) {
@@ -39,10 +52,140 @@
         return new_collection;
     };
 
+    var hasClassName = function (classNames, className) {
+        return new RegExp('(^| )' + className + '( |$)').test(classNames);
+    };
+
+    var removeClassName = function (classNames, className) {
+        return classNames.replace(new RegExp('(^| )' + className + '( |$)', 'g'), ' ').replace(/^ +| +$/g, '');
+    };
+
+    var filter = function (collection, callbackEach) {
+        var i = 0,
+            length = collection.length,
+            new_collection = [];
+
+        for (; i < length; i++) {
+            if (callbackEach(collection[i], i)) {
+                new_collection.push(collection[i]);
+            }
+        }
+
+        return new_collection;
+    };
+
+    var indexOf = function (collection, item) {
+        var i = collection.length;
+
+        while (i--) {
+            if (collection[i] === item) {
+                return i;
+            }
+        }
+
+        return -1;
+    };
+
+    var matchesSelector = function (element, selector) {
+        var matches = element.matches || element.msMatchesSelector || element.webkitMatchesSelector || element.mozMatchesSelector;
+
+        return matches ? matches.call(element, selector) : false;
+    };
+
     var returnFn = function (value) { return value; };
     var noop = function () {};
     var trueFn = function () { return true; };
 
+    var parseRatio = function (ratio) {
+        var parts = String(ratio).split(/[:\/]/);
+
+        return parts.length === 2 ? parseFloat(parts[0]) / parseFloat(parts[1]) : parseFloat(ratio);
+    };
+
+    var parseNumbers = function (value) {
+        return applyEach(value.replace(/^\s+|\s+$/g, '').split(/[\s,]+/), function (number) {
+            return parseFloat(number);
+        }).sort(function (a, b) {
+            return a - b;
+        });
+    };
+
+    var getContainer = function (image) {
+        var parent = image.parentNode;
+
+        // background images are sized after their own element
+        if (image.imagerBackground) {
+            return image;
+        }
+
+        // the images of the picture mode are wrapped in an inline `picture` element
+        return parent && parent.nodeName === 'PICTURE' ? parent.parentNode : parent;
+    };
+
+    // escapes a URL for a quoted CSS `url()` value
+    var escapeCssUrl = function (url) {
+        return String(url)
+            .replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"')
+            .replace(/\n/g, '\\a ')
+            .replace(/\r/g, '\\d ')
+            .replace(/\f/g, '\\c ');
+    };
+
+    var setSource = function (image, src) {
+        if (image.imagerBackground) {
+            image.style.backgroundImage = 'url("' + escapeCssUrl(src) + '")';
+        }
+        else {
+            image.src = src;
+        }
+    };
+
+    var appendQueryString = function (url, parameters) {
+        var query = applyEach(getKeys(parameters), function (name) {
+            return name + '=' + encodeURIComponent(parameters[name]);
+        }).join('&');
+
+        return url + (url.indexOf('?') === -1 ? '?' : '&') + query;
+    };
+
+    // attributes of the placeholders handled by Imager itself
+    var ownAttributes = /^(class|alt|src|data-(class|alt|src|srcs|src-\d+|bg-src|width|height|ratio|sizes|lqip|fallback-src|priority|widths|pixel-ratios|lazyload|attrs))$/;
+
+    var matchesAttribute = function (name, patterns) {
+        return filter(patterns, function (pattern) {
+            var isPrefix = pattern.charAt(pattern.length - 1) === '*';
+
+            return isPrefix ? name.indexOf(pattern.slice(0, -1)) === 0 : name === pattern;
+        }).length > 0;
+    };
+
+    var warnUnknownToken = function (token, src) {
+        if (window.console && window.console.warn) {
+            window.console.warn('Imager.js: unknown {' + token + '} token in ' + src);
+        }
+    };
+
+    // malformed JSON attributes are reported and ignored rather than stopping the processing of every image
+    var parseJsonAttribute = function (element, name) {
+        var json = element.getAttribute(name);
+
+        if (!json) {
+            return {};
+        }
+
+        try {
+            return JSON.parse(json) || {};
+        }
+        catch (e) {
+            if (window.console && window.console.warn) {
+                window.console.warn('Imager.js: invalid JSON in the ' + name + ' attribute: ' + json);
+            }
+
+            return {};
+        }
+    };
+
     var debounce = function (fn, wait) {
         var timeout;
         return function () {
@@ -78,8 +221,53 @@
                 // Toggle the lazy load functionality on or off
                 lazyload: Boolean,
 
+                // If set to true, Imager will emit native srcset/sizes attributes when the browser supports them
+                srcset: Boolean,
+
+                // If set to true, Imager will display a low quality version of the images while loading them
+                lqip: Boolean,
+
+                // If set to true, Imager will lower the images quality on slow connections (see networkPolicy)
+                networkAware: Boolean,
+
+                // If set to true, the aspect ratio of the images is computed from their data-width/data-height attributes
+                computeRatio: Boolean,
+
                 // Used alongside the lazyload feature (helps performance by setting a higher delay)
-                scrollDelay: Number
+                scrollDelay: Number,
+
+                // Scrollable element containing the images, used alongside the lazyload feature (defaults to the window)
+                scrollRoot: HTMLElement,
+
+                // If set to true, Imager will process the placeholders added to (and forget the images removed from) the document
+                observe: Boolean,
+
+                // Element watched by the observe feature (defaults to document.body)
+                observeRoot: HTMLElement,
+
+                // Maximum number of images loading at the same time, closest to the viewport first (0 means no limit)
+                maxConcurrentLoads: Number,
+
+                // If set to true, Imager will preload the next larger width of the visible images during idle time
+                prefetch: Boolean,
+
+                // Whether images are downgraded to a smaller width ('always') or unloaded when far away from the viewport ('offscreen')
+                downgrade: 'never' | 'always' | 'offscreen',
+
+                // Attributes copied from the placeholders to the images: none but Imager's own (false), all (true) or a list of names
+                copyAttributes: Boolean | [String],
+
+                // Attributes never copied from the placeholders to the images
+                ignoredAttributes: [String],
+
+                // Turns the data-src URLs into the URL scheme of an image service ('imgix', 'cloudinary', 'thumbor', 'ichef' or a function)
+                urlBuilder: String | Function,
+
+                // Modern image formats replacing the {format} token, by order of preference
+                formats: ['avif', 'webp'],
+
+                // If set to true, Imager will emit a <picture> element with a <source> per format, when the browser supports it
+                picture: Boolean
             }
 
         @param {object} configuration settings
@@ -107,28 +295,92 @@
         }
 
         this.viewportHeight   = doc.documentElement.clientHeight;
+        this.viewportWidth    = doc.documentElement.clientWidth;
         this.selector         = !elements ? (opts.selector || '.delayed-image-load') : null;
-        this.className        = opts.className || 'image-replace';
+        this.configureRendering(opts);
         this.gif              = doc.createElement('img');
         this.gif.src          = 'data:image/gif;base64,R0lGODlhEAAJAIAAAP///wAAACH5BAEAAAAALAAAAAAQAAkAAAIKhI+py+0Po5yUFQA7';
         this.gif.className    = this.className;
         this.gif.alt          = '';
         this.lazyloadOffset   = opts.lazyloadOffset || 0;
         this.scrollDelay      = opts.scrollDelay || 250;
+        this.scrollRoot       = opts.scrollRoot || null;
         this.onResize         = opts.hasOwnProperty('onResize') ? opts.onResize : true;
         this.lazyload         = opts.hasOwnProperty('lazyload') ? opts.lazyload : false;
+        this.observe          = opts.hasOwnProperty('observe') ? opts.observe : false;
+        this.observeRoot      = opts.observeRoot || null;
+        this.srcset           = Boolean(opts.srcset) && Imager.hasSrcsetSupport();
+        this.lqip             = opts.hasOwnProperty('lqip') ? opts.lqip : false;
+        this.lqipClassName    = opts.lqipClassName || 'image-lqip';
         this.scrolled         = false;
-        this.availablePixelRatios = opts.availablePixelRatios || [1, 2];
-        this.availableWidths  = opts.availableWidths || defaultWidths;
         this.onImagesReplaced = opts.onImagesReplaced || noop;
-        this.widthsMap        = {};
-        this.refreshPixelRatio();
-        this.widthInterpolator = opts.widthInterpolator || returnFn;
+        this.onImageLoad      = opts.onImageLoad || noop;
+        this.onImageError     = opts.onImageError || noop;
+        this.retryAttempts    = opts.retryAttempts || 0;
+        this.retryDelay       = opts.retryDelay || 500;
+        this.maxConcurrentLoads = opts.maxConcurrentLoads || 0;
+        this.prefetch         = opts.hasOwnProperty('prefetch') ? opts.prefetch : false;
+        this.prefetched       = {};
+        this.downgrade        = opts.downgrade || 'never';
+        this.downgradeOffset  = opts.downgradeOffset || 2000;
+        this.queue            = [];
+        this.loading          = [];
+        this.containerWidths  = [];
 
         // Needed as IE8 adds a default `width`/`height` attribute…
         this.gif.removeAttribute('height');
         this.gif.removeAttribute('width');
 
+        this.divs = [];
+        this.registeredEvents = [];
+        this.listeners = {};
+        this.add(elements || this.selector);
+        this.ready(opts.onReady);
+
+        this.initTimeout = setTimeout(function () {
+            // without picture element, the best supported format is detected before loading any image
+            if (self.formats.length && !self.picture) {
+                Imager.detectFormats(self.formats, function () {
+                    // the instance may have been destroyed in the meantime
+                    if (self.initTimeout !== null) {
+                        self.init();
+                    }
+                });
+
+                return;
+            }
+
+            self.init();
+        }, 0);
+    };
+
+    /**
+     * Applies the options needed to compute the images sources.
+     *
+     * They are shared by Imager instances and the DOM-free rendering (see `Imager.getImageAttributes`).
+     *
+     * @since 0.6.0
+     * @param {Object} opts
+     */
+    Imager.prototype.configureRendering = function (opts) {
+        this.className        = opts.className || 'image-replace';
+        this.computeRatio     = opts.hasOwnProperty('computeRatio') ? opts.computeRatio : false;
+        this.availablePixelRatios = opts.availablePixelRatios || [1, 2];
+        this.availableWidths  = opts.availableWidths || defaultWidths;
+        this.widthsMap        = {};
+        this.networkAware     = opts.hasOwnProperty('networkAware') ? opts.networkAware : false;
+        this.networkPolicy    = opts.networkPolicy || Imager.networkPolicy;
+        this.refreshPixelRatio();
+        this.widthInterpolator = opts.widthInterpolator || returnFn;
+        this.tokens           = opts.tokens || {};
+        this.onUnknownToken   = opts.onUnknownToken || warnUnknownToken;
+        this.urlBuilder       = (typeof opts.urlBuilder === 'string' ? Imager.urlBuilders[opts.urlBuilder] : opts.urlBuilder) || null;
+        this.copyAttributes   = opts.copyAttributes || false;
+        this.ignoredAttributes = opts.ignoredAttributes || [];
+        this.formats          = opts.formats || [];
+        this.fallbackFormat   = opts.fallbackFormat || 'jpg';
+        this.picture          = Boolean(opts.picture) && this.formats.length > 0 && Imager.hasPictureSupport();
+
         if (typeof this.availableWidths !== 'function') {
           if (typeof this.availableWidths.length === 'number') {
             this.widthsMap = Imager.createWidthsMap(this.availableWidths, this.widthInterpolator, this.devicePixelRatio);
@@ -142,17 +394,10 @@
             return a - b;
           });
         }
-
-        this.divs = [];
-        this.add(elements || this.selector);
-        this.ready(opts.onReady);
-
-        setTimeout(function () {
-            self.init();
-        }, 0);
     };
 
     Imager.prototype.add = function (elementsOrSelector) {
+        var self = this;
 
         elementsOrSelector = elementsOrSelector || this.selector;
         var elements = typeof elementsOrSelector === 'string' ?
@@ -160,10 +405,121 @@
             elementsOrSelector; // Elements (NodeList or array of Nodes)
 
         if (elements && elements.length) {
-            var additional = applyEach(elements, returnFn);
-            this.changeDivsToEmptyImages(additional);
+            // `noscript` elements are left as is in the browsers unable to parse their content (IE8)
+            var additional = filter(elements, function (element) {
+                return element.nodeName !== 'NOSCRIPT' || Imager.hasNoscriptSupport();
+            });
+            var lazyImages, eagerImages;
+
+            applyEach(additional, function (element, i) {
+                additional[i] = self.createGif(element);
+            });
+
+            this.observeContainers(additional);
             this.divs = this.divs.concat(additional);
+
+            // images added once Imager is ready are lazyloaded like the initial ones
+            if (this.initialized) {
+                lazyImages = filter(additional, function (image) {
+                    return self.isPlaceholder(image) && self.isLazyloaded(image);
+                });
+                eagerImages = filter(additional, function (image) {
+                    return indexOf(lazyImages, image) === -1;
+                });
+
+                this.lazyloadImages(lazyImages);
+
+                if (eagerImages.length) {
+                    this.checkImagesNeedReplacing(eagerImages);
+                }
+            }
+        }
+    };
+
+    /**
+     * Stops processing some images: their pending loads are abandoned and they are left as is in the document.
+     *
+     * @since 0.6.0
+     * @param {Array.<HTMLElement>|NodeList|String} elementsOrSelector responsive images, their original placeholders or a selector
+     */
+    Imager.prototype.remove = function (elementsOrSelector) {
+        var self = this;
+        var elements = typeof elementsOrSelector === 'string' ? document.querySelectorAll(elementsOrSelector) : elementsOrSelector;
+        var images = [];
+
+        var isKept = function (item) {
+            return indexOf(images, item.image || item) === -1;
+        };
+
+        // containers which no longer hold any image are not watched anymore
+        var releaseContainer = function (container) {
+            var isReleased = container && !filter(self.divs, function (image) {
+                return getContainer(image) === container;
+            }).length;
+
+            if (isReleased && self.resizeObserver) {
+                self.resizeObserver.unobserve(container);
+            }
+
+            return isReleased;
+        };
+
+        applyEach(elements || [], function (element) {
+            var image = self.getImage(element);
+
+            if (image) {
+                images.push(image);
+            }
+        });
+
+        if (!images.length) {
+            return;
+        }
+
+        this.divs = filter(this.divs, isKept);
+        this.queue = filter(this.queue, isKept);
+
+        this.containerWidths = filter(this.containerWidths, function (pair) {
+            return !releaseContainer(pair[0]);
+        });
+
+        applyEach(images, function (image) {
+            image.onload = image.onerror = null;
+            clearTimeout(image.imagerRetry);
+
+            if (image.imagerLoader) {
+                image.imagerLoader.onload = image.imagerLoader.onerror = null;
+            }
+
+            if (self.observer) {
+                self.observer.unobserve(image);
+            }
+
+            releaseContainer(getContainer(image));
+            self.releaseLoadSlot(image);
+            image.imagerPendingSrc = null;
+        });
+    };
+
+    /**
+     * Reloads an image after its `data-src` or `data-width` attributes have changed,
+     * even if its current source is large enough.
+     *
+     * Placeholders not loaded yet pick the new attributes up when they are.
+     *
+     * @since 0.6.0
+     * @param {HTMLElement} element responsive image or its original placeholder
+     */
+    Imager.prototype.update = function (element) {
+        var image = this.getImage(element);
+
+        if (!image || this.isPlaceholder(image)) {
+            return;
         }
+
+        image.imagerOutdated = true;
+        image.imagerLoaded = false;
+        this.checkImagesNeedReplacing([image]);
     };
 
     Imager.prototype.scrollCheck = function () {
@@ -174,7 +530,7 @@
         if (this.scrolled) {
             // collects a subset of not-yet-responsive images and not offscreen anymore
             applyEach(this.divs, function (element) {
-                if (self.isPlaceholder(element)) {
+                if (self.isPlaceholder(element) && self.isLazyloaded(element)) {
                     ++offscreenImageCount;
 
                     if (self.isThisElementOnScreen(element)) {
@@ -185,6 +541,11 @@
 
             if (offscreenImageCount === 0) {
                 window.clearInterval(self.interval);
+                self.interval = null;
+            }
+
+            if (elements.length) {
+                this.emit('lazyload:visible', elements);
             }
 
             this.changeDivsToEmptyImages(elements);
@@ -192,17 +553,91 @@
         }
     };
 
+    /**
+     * Upgrades the placeholders reported as visible by the IntersectionObserver
+     *
+     * @since 0.6.0
+     * @param {Array.<IntersectionObserverEntry>} entries
+     */
+    Imager.prototype.intersectionCheck = function (entries) {
+        var self = this;
+        var elements = [];
+
+        applyEach(entries, function (entry) {
+            if (entry.isIntersecting || entry.intersectionRatio > 0) {
+                self.observer.unobserve(entry.target);
+
+                if (self.isPlaceholder(entry.target)) {
+                    elements.push(entry.target);
+                }
+            }
+        });
+
+        if (elements.length) {
+            this.emit('lazyload:visible', elements);
+            this.changeDivsToEmptyImages(elements);
+        }
+    };
+
+    /**
+     * Lazyloads the placeholders added once Imager is ready: they are watched by the IntersectionObserver,
+     * or checked by the scroll polling, which is resumed if it had stopped.
+     *
+     * @since 0.6.0
+     * @param {Array.<HTMLImageElement>} images
+     */
+    Imager.prototype.lazyloadImages = function (images) {
+        var self = this;
+
+        if (!images.length) {
+            return;
+        }
+
+        // `init` only registers the lazyload handling if some of the initial images were lazyloaded
+        if (!this.observer && this.interval === undefined) {
+            this.registerScrollEvent();
+        }
+
+        if (this.observer) {
+            applyEach(images, function (image) {
+                self.observer.observe(image);
+            });
+
+            return;
+        }
+
+        if (!this.interval) {
+            this.interval = window.setInterval(function () {
+                self.scrollCheck();
+            }, this.scrollDelay);
+        }
+
+        this.scrolled = true;
+        this.scrollCheck();
+    };
+
     Imager.prototype.init = function () {
         var self = this;
 
         this.initialized = true;
         var filterFn = trueFn;
+        var eagerImages = filter(this.divs, function (element) {
+            return !self.isLazyloaded(element);
+        });
+
+        if (this.lazyload || eagerImages.length < this.divs.length) {
+            // images opted out of the lazyload with `data-lazyload="false"`
+            if (eagerImages.length) {
+                this.checkImagesNeedReplacing(eagerImages);
+            }
 
-        if (this.lazyload) {
             this.registerScrollEvent();
 
-            this.scrolled = true;
-            self.scrollCheck();
+            // the observer reports the initial visibility by itself
+            if (!this.observer) {
+                this.scrolled = true;
+                self.scrollCheck();
+            }
 
             filterFn = function (element) {
                 return self.isPlaceholder(element) === false;
@@ -216,236 +651,2200 @@
             this.registerResizeEvent(filterFn);
         }
 
+        if (this.downgrade === 'offscreen') {
+            this.registerDowngradeEvent();
+        }
+
+        if (this.observe) {
+            this.registerMutationObserver();
+        }
+
         this.onReady();
+        this.emit('ready', this.divs, []);
     };
 
     /**
-     * Executes a function when Imager is ready to work
-     * It acts as a convenient/shortcut for `new Imager({ onReady: fn })`
+     * Subscribes to an event: `ready`, `replace`, `load`, `error`, `lazyload:visible` or `resize`.
      *
-     * @since 0.3.1
+     * ```js
+     * imgr.on('load', function (image) {
+     *     image.parentNode.className += ' is-loaded';
+     * });
+     * ```
+     *
+     * @since 0.6.0
+     * @param {String} eventName
      * @param {Function} fn
+     * @returns {Imager}
      */
-    Imager.prototype.ready = function (fn) {
-        this.onReady = fn || noop;
-    };
+    Imager.prototype.on = function (eventName, fn) {
+        (this.listeners[eventName] = this.listeners[eventName] || []).push(fn);
 
-    Imager.prototype.createGif = function (element) {
-        // if the element is already a responsive image then we don't replace it again
-        if (element.className.match(new RegExp('(^| )' + this.className + '( |$)'))) {
-            return element;
-        }
+        return this;
+    };
 
-        var elementClassName = element.getAttribute('data-class');
-        var elementWidth = element.getAttribute('data-width');
-        var gif = this.gif.cloneNode(false);
+    /**
+     * Unsubscribes a listener from an event, or every listener of the event if none is provided.
+     *
+     * @since 0.6.0
+     * @param {String} eventName
+     * @param {Function=} fn
+     * @returns {Imager}
+     */
+    Imager.prototype.off = function (eventName, fn) {
+        this.listeners[eventName] = fn ? filter(this.listeners[eventName] || [], function (listener) {
+            return listener !== fn && listener.listener !== fn;
+        }) : [];
 
-        if (elementWidth) {
-          gif.width = elementWidth;
-          gif.setAttribute('data-width', elementWidth);
-        }
+        return this;
+    };
 
-        gif.className = (elementClassName ? elementClassName + ' ' : '') + this.className;
-        gif.setAttribute('data-src', element.getAttribute('data-src'));
-        gif.setAttribute('alt', element.getAttribute('data-alt') || element.alt || this.gif.alt);
+    /**
+     * Subscribes to the next occurrence of an event only.
+     *
+     * @since 0.6.0
+     * @param {String} eventName
+     * @param {Function} fn
+     * @returns {Imager}
+     */
+    Imager.prototype.once = function (eventName, fn) {
+        var self = this;
+        var listener = function () {
+            self.off(eventName, listener);
+            fn.apply(this, arguments);
+        };
 
-        element.parentNode.replaceChild(gif, element);
+        // lets `off()` unsubscribe the original function
+        listener.listener = fn;
 
-        return gif;
+        return this.on(eventName, listener);
     };
 
-    Imager.prototype.changeDivsToEmptyImages = function (elements) {
-        var self = this;
-
+    /**
+     * Runs the listeners of an event, then dispatches the matching `imager:<event>` DOM event on each image.
+     *
+     * @since 0.6.0
+     * @param {String} eventName
+     * @param {Array.<HTMLElement>} images
+     * @param {Array=} args arguments of the listeners (defaults to the images)
+     */
+    Imager.prototype.emit = function (eventName, images, args) {
+        var self = this;
+
+        args = args || [images];
+
+        applyEach((this.listeners[eventName] || []).slice(), function (listener) {
+            listener.apply(self, args);
+        });
+
+        applyEach(images, function (image) {
+            Imager.dispatchEvent(image, 'imager:' + eventName, { imager: self });
+        });
+    };
+
+    /**
+     * Returns a Promise resolved with the instance once Imager is ready to work.
+     *
+     * @since 0.6.0
+     * @returns {Promise.<Imager>}
+     */
+    Imager.prototype.whenReady = function () {
+        var self = this;
+
+        return new Imager.Promise(function (resolve) {
+            if (self.initialized) {
+                resolve(self);
+                return;
+            }
+
+            self.once('ready', function () {
+                resolve(self);
+            });
+        });
+    };
+
+    /**
+     * Returns a Promise resolved with the images once they have all loaded,
+     * or rejected as soon as one of them has definitely failed to load.
+     *
+     * The images located within the viewport once Imager is ready are awaited if none are provided.
+     *
+     * @since 0.6.0
+     * @param {Array.<HTMLElement>|NodeList=} elements responsive images or their original placeholders
+     * @returns {Promise.<Array.<HTMLImageElement>>}
+     */
+    Imager.prototype.whenLoaded = function (elements) {
+        var self = this;
+
+        return this.whenReady().then(function () {
+            var images = elements ? applyEach(elements, function (element) {
+                return self.getImage(element);
+            }) : filter(self.divs, function (image) {
+                return self.isThisElementOnScreen(image);
+            });
+
+            return Imager.Promise.all(applyEach(images, function (image, i) {
+                var error;
+
+                if (!image) {
+                    error = new Error('Imager.js: the element is not handled by this instance');
+                    error.element = elements[i];
+
+                    return Imager.Promise.reject(error);
+                }
+
+                return self.whenImageLoaded(image);
+            }));
+        });
+    };
+
+    /**
+     * Loads an image straight away, even if it is a lazyloaded placeholder not visible yet.
+     *
+     * Elements unknown to the instance are added to it first.
+     *
+     * @since 0.6.0
+     * @param {HTMLElement} element responsive image or its original placeholder
+     * @returns {Promise.<HTMLImageElement>} see `whenLoaded`
+     */
+    Imager.prototype.load = function (element) {
+        var image = this.getImage(element);
+
+        if (!image) {
+            this.add([element]);
+            image = this.getImage(element);
+        }
+
+        if (this.isPlaceholder(image)) {
+            if (this.observer) {
+                this.observer.unobserve(image);
+            }
+
+            image.imagerUnloaded = false;
+            this.checkImagesNeedReplacing([image]);
+        }
+
+        return this.whenImageLoaded(image);
+    };
+
+    /**
+     * Returns the responsive image matching an element: the element itself or the image which replaced it.
+     *
+     * @since 0.6.0
+     * @param {HTMLElement} element
+     * @returns {HTMLElement|undefined}
+     */
+    Imager.prototype.getImage = function (element) {
+        return filter(this.divs, function (image) {
+            return image === element || image.imagerPlaceholder === element;
+        })[0];
+    };
+
+    /**
+     * Returns a Promise settled once an image has loaded or definitely failed to load.
+     *
+     * Rejections are an `Error` with the `image` and `src` properties.
+     *
+     * @since 0.6.0
+     * @param {HTMLElement} image
+     * @returns {Promise.<HTMLElement>}
+     */
+    Imager.prototype.whenImageLoaded = function (image) {
+        var self = this;
+
+        return new Imager.Promise(function (resolve, reject) {
+            var onLoad, onError;
+
+            var fail = function (src) {
+                var error = new Error('Imager.js: ' + src + ' could not be loaded');
+
+                error.image = image;
+                error.src = src;
+                reject(error);
+            };
+
+            // images whose source was not replaced (such as server-rendered ones already large enough) count as loaded
+            if (image.imagerLoaded || (!image.imagerPendingSrc && !self.isPlaceholder(image) && image.complete && image.naturalWidth > 0)) {
+                resolve(image);
+                return;
+            }
+
+            if (image.imagerFailedSrc) {
+                fail(image.imagerFailedSrc);
+                return;
+            }
+
+            onLoad = function (loadedImage) {
+                if (loadedImage === image) {
+                    self.off('load', onLoad).off('error', onError);
+                    resolve(image);
+                }
+            };
+
+            onError = function (failedImage, src) {
+                if (failedImage === image) {
+                    self.off('load', onLoad).off('error', onError);
+                    fail(src);
+                }
+            };
+
+            self.on('load', onLoad).on('error', onError);
+        });
+    };
+
+    /**
+     * Executes a function when Imager is ready to work
+     * It acts as a convenient/shortcut for `new Imager({ onReady: fn })`
+     *
+     * @since 0.3.1
+     * @param {Function} fn
+     */
+    Imager.prototype.ready = function (fn) {
+        this.onReady = fn || noop;
+    };
+
+    Imager.prototype.createGif = function (element) {
+        // if the element is already a responsive image then we don't replace it again
+        if (hasClassName(element.className, this.className) || element.imagerBackground || element.imagerEnhanced) {
+            return element;
+        }
+
+        if (element.getAttribute('data-bg-src') !== null) {
+            return this.createBackground(element);
+        }
+
+        // `img` placeholders without any source are still replaced
+        if (element.nodeName === 'IMG' && element.getAttribute('src')) {
+            return this.enhanceImage(element);
+        }
+
+        if (element.nodeName === 'NOSCRIPT') {
+            return this.createGifFromNoscript(element);
+        }
+
+        var elementClassName = element.getAttribute('data-class');
+        var elementWidth = element.getAttribute('data-width');
+        var elementSizes = element.getAttribute('data-sizes');
+        var elementHeight = element.getAttribute('data-height');
+        var elementRatio = element.getAttribute('data-ratio');
+        var gif = this.gif.cloneNode(false);
+        var ratio, reservedWidth, lowQualitySrc, copiedAttributes;
+
+        if (elementWidth) {
+          gif.width = elementWidth;
+          gif.setAttribute('data-width', elementWidth);
+        }
+
+        if (elementSizes) {
+          gif.setAttribute('data-sizes', elementSizes);
+        }
+
+        if (elementHeight) {
+          gif.height = elementHeight;
+          gif.setAttribute('data-height', elementHeight);
+        }
+
+        if (elementRatio) {
+          gif.setAttribute('data-ratio', elementRatio);
+        }
+
+        if (element.getAttribute('data-fallback-src')) {
+          gif.setAttribute('data-fallback-src', element.getAttribute('data-fallback-src'));
+        }
+
+        if (element.getAttribute('data-priority')) {
+          gif.setAttribute('data-priority', element.getAttribute('data-priority'));
+        }
+
+        // per-image overrides of the instance options
+        applyEach(['data-widths', 'data-pixel-ratios', 'data-lazyload'], function (name) {
+            if (element.getAttribute(name) !== null) {
+                gif.setAttribute(name, element.getAttribute(name));
+            }
+        });
+
+        // reserves the box of the image to prevent the content from jumping once loaded
+        ratio = this.getImageRatio(gif);
+
+        if (ratio) {
+          reservedWidth = elementWidth || element.parentNode.clientWidth;
+        }
+
+        if (ratio && reservedWidth) {
+          gif.width = reservedWidth;
+          gif.height = Math.round(reservedWidth / ratio);
+        }
+
+        gif.className = (elementClassName ? elementClassName + ' ' : '') + this.className;
+        gif.setAttribute('data-src', element.getAttribute('data-src'));
+
+        // art direction variants (`data-src-<breakpoint>` and `data-srcs`)
+        applyEach(element.attributes, function (attribute) {
+            if (/^data-src(s|-\d+)$/.test(attribute.nodeName)) {
+                gif.setAttribute(attribute.nodeName, attribute.nodeValue);
+            }
+        });
+        gif.setAttribute('alt', element.getAttribute('data-alt') || element.alt || this.gif.alt);
+
+        copiedAttributes = this.getCopiedAttributes(element);
+
+        applyEach(getKeys(copiedAttributes), function (name) {
+            gif.setAttribute(name, copiedAttributes[name]);
+        });
+
+        if (element.getAttribute('data-lqip')) {
+          gif.setAttribute('data-lqip', element.getAttribute('data-lqip'));
+        }
+
+        lowQualitySrc = this.lqip ? this.getLowQualitySrc(gif) : null;
+
+        if (lowQualitySrc) {
+          gif.src = lowQualitySrc;
+          gif.className += ' ' + this.lqipClassName;
+        }
+
+        // kept to restore the original markup when the instance is destroyed
+        gif.imagerPlaceholder = element;
+
+        if (this.picture) {
+          gif.imagerPicture = this.createPicture(gif);
+          element.parentNode.replaceChild(gif.imagerPicture, element);
+        }
+        else {
+          element.parentNode.replaceChild(gif, element);
+        }
+
+        return gif;
+    };
+
+    /**
+     * Returns the attributes of a placeholder to copy to its responsive image, besides the ones handled by Imager.
+     *
+     * They are selected by the `copyAttributes` and `ignoredAttributes` options (names ending with `*` are prefixes),
+     * then completed by the `data-attrs` JSON object of the placeholder.
+     *
+     * @since 0.6.0
+     * @param {HTMLElement} element
+     * @returns {Object} attribute values, indexed by name
+     */
+    Imager.prototype.getCopiedAttributes = function (element) {
+        var self = this;
+        var attributes = {};
+        var json = parseJsonAttribute(element, 'data-attrs');
+
+        var isCopied = function (name) {
+            return !ownAttributes.test(name) && !matchesAttribute(name, self.ignoredAttributes);
+        };
+
+        if (this.copyAttributes) {
+            applyEach(element.attributes, function (attribute) {
+                var name = attribute.nodeName.toLowerCase();
+
+                if (isCopied(name) && (self.copyAttributes === true || matchesAttribute(name, self.copyAttributes))) {
+                    attributes[name] = attribute.nodeValue;
+                }
+            });
+        }
+
+        applyEach(getKeys(json), function (name) {
+            if (isCopied(name)) {
+                attributes[name] = String(json[name]);
+            }
+        });
+
+        return attributes;
+    };
+
+    /**
+     * Prepares an existing `img` element with a `src` attribute: it is kept in place and its current source is displayed
+     * until it is upgraded to a responsive one.
+     *
+     * @since 0.6.0
+     * @param {HTMLImageElement} image
+     * @returns {HTMLImageElement}
+     */
+    Imager.prototype.enhanceImage = function (image) {
+        var elementClassName = image.getAttribute('data-class');
+
+        image.imagerEnhanced = true;
+        image.imagerInitialSrc = image.getAttribute('src');
+        image.className = (image.className ? image.className + ' ' : '') + (elementClassName ? elementClassName + ' ' : '') + this.className;
+
+        if (image.getAttribute('alt') === null) {
+            image.setAttribute('alt', image.getAttribute('data-alt') || this.gif.alt);
+        }
+
+        return image;
+    };
+
+    /**
+     * Turns a `noscript` element into a responsive image.
+     *
+     * Its content is parsed without loading anything: the attributes of its `img` element, then the `data-*`
+     * attributes of the `noscript` element itself, make up the placeholder. The `src` of the `img` element
+     * is used if there is no `data-src`.
+     *
+     * @since 0.6.0
+     * @param {HTMLElement} noscript
+     * @returns {HTMLImageElement}
+     */
+    Imager.prototype.createGifFromNoscript = function (noscript) {
+        var placeholder = document.createElement('div');
+        var parsed = document.implementation.createHTMLDocument('');
+        var image, gif;
+
+        // the content of a `noscript` element is text when scripting is enabled
+        parsed.body.innerHTML = noscript.textContent || noscript.innerHTML;
+        image = parsed.body.getElementsByTagName('img')[0];
+
+        applyEach(image ? image.attributes : [], function (attribute) {
+            var name = { src: 'data-src', alt: 'data-alt', 'class': 'data-class' }[attribute.nodeName] || attribute.nodeName;
+
+            if (attribute.nodeName !== 'src' || image.getAttribute('data-src') === null) {
+                placeholder.setAttribute(name, attribute.nodeValue);
+            }
+        });
+
+        applyEach(noscript.attributes, function (attribute) {
+            if (/^data-/.test(attribute.nodeName)) {
+                placeholder.setAttribute(attribute.nodeName, attribute.nodeValue);
+            }
+        });
+
+        noscript.parentNode.replaceChild(placeholder, noscript);
+        gif = this.createGif(placeholder);
+
+        // restores the `noscript` element when the instance is destroyed
+        gif.imagerPlaceholder = noscript;
+
+        return gif;
+    };
+
+    /**
+     * Prepares an element with a `data-bg-src` attribute: it is kept as is and gets a responsive background image.
+     *
+     * @since 0.6.0
+     * @param {HTMLElement} element
+     * @returns {HTMLElement}
+     */
+    Imager.prototype.createBackground = function (element) {
+        var lowQualitySrc;
+
+        element.imagerBackground = true;
+        lowQualitySrc = this.lqip ? this.getLowQualitySrc(element) : null;
+
+        if (lowQualitySrc) {
+          setSource(element, lowQualitySrc);
+          element.className += ' ' + this.lqipClassName;
+        }
+
+        return element;
+    };
+
+    /**
+     * Wraps an image in a `picture` element, with an empty `source` element per format.
+     *
+     * Their `srcset` is set when the image source is, so as the browser does not load them any sooner.
+     *
+     * @since 0.6.0
+     * @param {HTMLImageElement} image
+     * @returns {HTMLPictureElement}
+     */
+    Imager.prototype.createPicture = function (image) {
+        var picture = document.createElement('picture');
+
+        applyEach(this.formats, function (format) {
+            var source = document.createElement('source');
+
+            source.setAttribute('type', 'image/' + format);
+            source.setAttribute('data-format', format);
+            picture.appendChild(source);
+        });
+
+        picture.appendChild(image);
+
+        return picture;
+    };
+
+    Imager.prototype.changeDivsToEmptyImages = function (elements) {
+        var self = this;
+
         applyEach(elements, function (element, i) {
             elements[i] = self.createGif(element);
         });
 
-        if (this.initialized) {
-            this.checkImagesNeedReplacing(elements);
+        if (this.initialized) {
+            this.checkImagesNeedReplacing(elements);
+        }
+    };
+
+    /**
+     * Indicates if an element is an Imager placeholder
+     *
+     * @since 1.3.1
+     * @param {HTMLImageElement} element
+     * @returns {boolean}
+     */
+    Imager.prototype.isPlaceholder = function (element) {
+        // the elements kept in place are placeholders until Imager requests a source for them
+        if (element.imagerBackground || element.imagerEnhanced) {
+            return !element.imagerPendingSrc;
+        }
+
+        // low quality images are placeholders until their full resolution source is requested
+        return element.src === this.gif.src || (hasClassName(element.className, this.lqipClassName) && !element.imagerPendingSrc);
+    };
+
+    /**
+     * Returns true if an element is located within a screen offset, vertically and horizontally.
+     *
+     * If a `scrollRoot` is set, the element must also be located within the scrollable element.
+     *
+     * @param {HTMLElement} element
+     * @returns {boolean}
+     */
+    Imager.prototype.isThisElementOnScreen = function (element) {
+        // document.body.scrollTop was working in Chrome but didn't work on Firefox, so had to resort to window.pageYOffset
+        // but can't fallback to document.body.scrollTop as that doesn't work in IE with a doctype (?) so have to use document.documentElement.scrollTop
+        var elementOffsetTop = 0;
+        var elementOffsetLeft = 0;
+        var offset = Imager.getPageOffset() + this.lazyloadOffset;
+        var horizontalOffset = Imager.getPageHorizontalOffset() + this.lazyloadOffset;
+        var rect, bounds;
+
+        if (this.scrollRoot) {
+            rect = element.getBoundingClientRect();
+            bounds = this.scrollRoot.getBoundingClientRect();
+
+            return rect.top < (Math.min(bounds.bottom, this.viewportHeight) + this.lazyloadOffset) &&
+                rect.left < (Math.min(bounds.right, this.viewportWidth) + this.lazyloadOffset);
+        }
+
+        if (element.offsetParent) {
+            do {
+                elementOffsetTop += element.offsetTop;
+                elementOffsetLeft += element.offsetLeft || 0;
+            }
+            while (element = element.offsetParent);
+        }
+
+        return elementOffsetTop < (this.viewportHeight + offset) && elementOffsetLeft < (this.viewportWidth + horizontalOffset);
+    };
+
+    Imager.prototype.checkImagesNeedReplacing = function (images, filterFn) {
+        var self = this;
+        filterFn = filterFn || trueFn;
+
+        if (!this.isResizing) {
+            this.isResizing = true;
+            this.refreshPixelRatio();
+
+            applyEach(images, function (image) {
+                if (filterFn(image)) {
+                    self.replaceImagesBasedOnScreenDimensions(image);
+                }
+            });
+
+            this.processQueue();
+            this.isResizing = false;
+            this.onImagesReplaced(images);
+            this.emit('replace', images);
+        }
+    };
+
+    /**
+     * Upgrades an image from an empty placeholder to a fully sourced image element
+     *
+     * @param {HTMLImageElement} image
+     */
+    Imager.prototype.replaceImagesBasedOnScreenDimensions = function (image) {
+        var computedWidth, naturalWidth, source, ratio, reservedWidth, src;
+
+        // unloaded images are reloaded by `downgradeCheck` once they come back close to the viewport
+        if (image.imagerUnloaded) {
+            return;
+        }
+
+        if (image.imagerBackground) {
+            this.replaceBackgroundBasedOnScreenDimensions(image);
+            return;
+        }
+
+	naturalWidth = Imager.getNaturalWidth(image);
+        computedWidth = this.computeImageWidth(image);
+
+        source = this.determineAppropriateSource(image, computedWidth);
+        ratio = this.getImageRatio(image);
+
+        // the dimensions of the enhanced images are left to their author
+        // images with a known aspect ratio keep the box of their displayed width, whatever the width of their source
+        if (ratio && !image.imagerEnhanced) {
+            reservedWidth = parseFloat(image.getAttribute('data-width')) || (getContainer(image) && getContainer(image).clientWidth) || computedWidth;
+            image.width = reservedWidth;
+            image.height = Math.round(reservedWidth / ratio);
+        }
+        else if (!image.imagerEnhanced) {
+            image.width = computedWidth;
+        }
+
+        if (this.srcset) {
+            image.setAttribute('sizes', this.getImageSizes(image));
+        }
+
+        // a different art direction variant is always swapped, even to a smaller width
+        if (!this.isPlaceholder(image) && !image.imagerOutdated && (!image.imagerSource || image.imagerSource === source) &&
+            (this.downgrade === 'always' ? computedWidth === image.imagerSelectedWidth : computedWidth <= naturalWidth)) {
+            return;
+        }
+
+        // set along with the source, so as the queue and the lqip loader decide when the browser loads it
+        image.imagerSrcset = this.srcset ? this.getImageSrcset(image, computedWidth) : null;
+        image.imagerSource = source;
+        image.imagerSelectedWidth = computedWidth;
+        image.imagerOutdated = false;
+        src = this.changeImageSrcToUseNewImageDimensions(source, computedWidth, this.getImagePixelRatio(image), image);
+
+        if (image.imagerPicture) {
+            this.preparePictureSources(image, source, computedWidth);
+        }
+
+        if (this.maxConcurrentLoads) {
+            this.queueImageSrc(image, src);
+        }
+        else {
+            this.setImageSrc(image, src);
+        }
+
+        // images with a known aspect ratio keep their dimensions so as the browser reserves their box
+        // the `data-height` of the other ones is only reserved until they load
+        if (!ratio && !image.imagerEnhanced) {
+            image.removeAttribute('width');
+        }
+    };
+
+    /**
+     * Upgrades the background image of an element with a `data-bg-src` attribute.
+     *
+     * @since 0.6.0
+     * @param {HTMLElement} element
+     */
+    Imager.prototype.replaceBackgroundBasedOnScreenDimensions = function (element) {
+        var computedWidth = this.computeImageWidth(element);
+        var source = this.determineAppropriateSource(element, computedWidth);
+        var src;
+
+        if (!this.isPlaceholder(element) && !element.imagerOutdated && element.imagerSource === source &&
+            (this.downgrade === 'always' ? computedWidth === element.imagerSelectedWidth : computedWidth <= element.imagerSelectedWidth)) {
+            return;
+        }
+
+        element.imagerSource = source;
+        element.imagerSelectedWidth = computedWidth;
+        element.imagerOutdated = false;
+        src = this.changeImageSrcToUseNewImageDimensions(source, computedWidth, this.getImagePixelRatio(element), element);
+
+        if (this.maxConcurrentLoads) {
+            this.queueImageSrc(element, src);
+        }
+        else {
+            this.setImageSrc(element, src);
+        }
+    };
+
+    /**
+     * Computes the URL of each `source` element of a picture, in their `data-srcset` attribute.
+     *
+     * @since 0.6.0
+     * @param {HTMLImageElement} image
+     * @param {String} source `data-src` template
+     * @param {Number} selectedWidth
+     */
+    Imager.prototype.preparePictureSources = function (image, source, selectedWidth) {
+        var self = this;
+        var pixelRatio = this.getImagePixelRatio(image);
+
+        applyEach(image.imagerPicture.getElementsByTagName('source'), function (element) {
+            var src = source.replace(/{format}/g, element.getAttribute('data-format'));
+
+            element.setAttribute('data-srcset', self.changeImageSrcToUseNewImageDimensions(src, selectedWidth, pixelRatio, image));
+        });
+    };
+
+    /**
+     * Schedules the loading of an image source, replacing any source previously queued for the same image.
+     *
+     * The queue is processed by `processQueue`, according to the `maxConcurrentLoads` option.
+     *
+     * @since 0.6.0
+     * @param {HTMLImageElement} image
+     * @param {String} src
+     */
+    Imager.prototype.queueImageSrc = function (image, src) {
+        this.queue = filter(this.queue, function (entry) {
+            return entry.image !== image;
+        });
+
+        this.queue.push({ image: image, src: src });
+    };
+
+    /**
+     * Starts loading the queued images by order of priority, until `maxConcurrentLoads` images are loading.
+     *
+     * @since 0.6.0
+     */
+    Imager.prototype.processQueue = function () {
+        var self = this;
+        var entry;
+
+        if (!this.queue.length || this.loading.length >= this.maxConcurrentLoads) {
+            return;
+        }
+
+        // the images may have moved since they were queued
+        applyEach(this.queue, function (entry) {
+            entry.priority = self.getLoadPriority(entry.image);
+        });
+
+        this.queue.sort(function (a, b) {
+            return a.priority - b.priority;
+        });
+
+        while (this.queue.length && this.loading.length < this.maxConcurrentLoads) {
+            entry = this.queue.shift();
+
+            if (indexOf(this.loading, entry.image) === -1) {
+                this.loading.push(entry.image);
+            }
+
+            this.setImageSrc(entry.image, entry.src);
+        }
+    };
+
+    /**
+     * Frees the loading slot held by an image and starts loading the next queued image.
+     *
+     * @since 0.6.0
+     * @param {HTMLImageElement} image
+     */
+    Imager.prototype.releaseLoadSlot = function (image) {
+        var position = indexOf(this.loading, image);
+
+        if (position !== -1) {
+            this.loading.splice(position, 1);
+            this.processQueue();
+        }
+    };
+
+    /**
+     * Returns the loading priority of an image: the lower, the sooner it is loaded.
+     *
+     * Images flagged with `data-priority="high"` come first, then the others by distance from the viewport.
+     *
+     * @since 0.6.0
+     * @param {HTMLImageElement} image
+     * @returns {Number}
+     */
+    Imager.prototype.getLoadPriority = function (image) {
+        if (image.getAttribute('data-priority') === 'high') {
+            return -1;
+        }
+
+        return this.getViewportDistance(image);
+    };
+
+    /**
+     * Returns the vertical distance between an image and the viewport, 0 if the image is within the viewport.
+     *
+     * @since 0.6.0
+     * @param {HTMLImageElement} image
+     * @returns {Number}
+     */
+    Imager.prototype.getViewportDistance = function (image) {
+        var rect = image.getBoundingClientRect();
+
+        return Math.max(0, rect.top - this.viewportHeight, -rect.bottom);
+    };
+
+    /**
+     * Swaps an image back to its placeholder (or low quality) source, releasing the memory used by the loaded image.
+     *
+     * @since 0.6.0
+     * @param {HTMLImageElement} image
+     */
+    Imager.prototype.unloadImage = function (image) {
+        var lowQualitySrc = this.lqip ? this.getLowQualitySrc(image) : null;
+
+        image.onload = image.onerror = null;
+        clearTimeout(image.imagerRetry);
+
+        if (image.imagerLoader) {
+            image.imagerLoader.onload = image.imagerLoader.onerror = null;
+        }
+
+        // a queued upgrade would load the image again while it is far away
+        this.queue = filter(this.queue, function (entry) {
+            return entry.image !== image;
+        });
+
+        this.releaseLoadSlot(image);
+        image.imagerPendingSrc = null;
+        image.imagerSelectedWidth = null;
+        image.imagerUnloaded = true;
+        image.imagerLoaded = false;
+
+        if (lowQualitySrc) {
+            setSource(image, lowQualitySrc);
+            image.className = removeClassName(image.className, this.lqipClassName) + ' ' + this.lqipClassName;
+        }
+        else if (image.imagerBackground) {
+            image.style.backgroundImage = '';
+        }
+        else if (image.imagerEnhanced && image.imagerInitialSrc) {
+            image.src = image.imagerInitialSrc;
+        }
+        else {
+            image.src = this.gif.src;
+        }
+    };
+
+    /**
+     * Unloads the images located further than `downgradeOffset` pixels from the viewport
+     * and reloads the previously unloaded images which came back within that distance.
+     *
+     * @since 0.6.0
+     */
+    Imager.prototype.downgradeCheck = function () {
+        var self = this;
+        var images = [];
+
+        applyEach(this.divs, function (image) {
+            var isFarAway = self.getViewportDistance(image) > self.downgradeOffset;
+
+            if (!isFarAway && image.imagerUnloaded) {
+                image.imagerUnloaded = false;
+                images.push(image);
+            }
+            else if (isFarAway && !self.isPlaceholder(image)) {
+                self.unloadImage(image);
+            }
+        });
+
+        if (images.length) {
+            this.checkImagesNeedReplacing(images);
+        }
+    };
+
+    /**
+     * Preloads the next larger width of a loaded image once the browser is idle, if the `prefetch` option is enabled.
+     *
+     * @since 0.6.0
+     * @param {HTMLImageElement} image
+     */
+    Imager.prototype.schedulePrefetch = function (image) {
+        var self = this;
+
+        if (!this.prefetch) {
+            return;
+        }
+
+        Imager.requestIdleCallback(function () {
+            // the image may have been removed or the instance destroyed in the meantime
+            if (indexOf(self.divs, image) !== -1) {
+                self.prefetchNextWidth(image);
+            }
+        });
+    };
+
+    /**
+     * Preloads the source an on-screen image would use at the next larger available width,
+     * so as the image is upgraded without delay when its container grows (on orientation change for instance).
+     *
+     * Nothing is prefetched when the widths are computed by a function or when the connection is degraded
+     * by the `networkPolicy`.
+     *
+     * @since 0.6.0
+     * @param {HTMLImageElement} image
+     */
+    Imager.prototype.prefetchNextWidth = function (image) {
+        var widths = this.getImageWidths(image);
+        var width, nextWidth, src;
+
+        if (typeof widths === 'function' || this.networkConditions.stepDown || !this.isThisElementOnScreen(image)) {
+            return;
+        }
+
+        width = this.determineAppropriateResolution(image);
+        nextWidth = widths[indexOf(widths, width) + 1];
+
+        if (nextWidth === undefined) {
+            return;
+        }
+
+        src = this.changeImageSrcToUseNewImageDimensions(this.determineAppropriateSource(image, nextWidth), nextWidth, this.getImagePixelRatio(image), image);
+
+        if (!this.prefetched[src]) {
+            this.prefetched[src] = true;
+            Imager.prefetchImage(src);
+        }
+    };
+
+    /**
+     * Sets the source of an image and watches its loading.
+     *
+     * Failed loads are retried `retryAttempts` times, waiting twice as long before each new attempt.
+     * After the final failure `onImageError` runs and the `data-fallback-src` is used, if any.
+     *
+     * @since 0.6.0
+     * @param {HTMLImageElement} image
+     * @param {String} src
+     * @param {Number=} attempt number of previous failed attempts
+     */
+    Imager.prototype.setImageSrc = function (image, src, attempt) {
+        var self = this;
+        var fallbackSrc = image.getAttribute('data-fallback-src');
+
+        // in lqip mode the low quality image stays visible until the new source is loaded and decoded
+        // (the browser picks the source of a picture by itself, so it is loaded in place)
+        // background images are always loaded by a separate image, as well as the enhanced images whose source stays visible
+        var loader = (this.lqip && !image.imagerPicture) || image.imagerBackground || image.imagerEnhanced ? document.createElement('img') : image;
+
+        // the `data-height` reserved for the images without a known ratio is only kept until they load
+        var releaseReservedHeight = function () {
+            if (!image.imagerEnhanced && !image.imagerBackground && !self.getImageRatio(image)) {
+                image.removeAttribute('height');
+            }
+        };
+
+        var onLoaded = function () {
+            image.className = removeClassName(image.className, self.lqipClassName);
+            releaseReservedHeight();
+            self.releaseLoadSlot(image);
+            self.schedulePrefetch(image);
+            image.imagerLoaded = true;
+            self.onImageLoad(image);
+            self.emit('load', [image], [image]);
+        };
+
+        attempt = attempt || 0;
+        image.imagerPendingSrc = src;
+        image.imagerFailedSrc = null;
+
+        if (loader !== image) {
+            image.imagerLoader = loader;
+        }
+
+        loader.onload = function () {
+            loader.onload = loader.onerror = null;
+
+            if (loader === image) {
+                onLoaded();
+                return;
+            }
+
+            Imager.decodeImage(loader, function () {
+                if (image.imagerPendingSrc === src) {
+                    if (image.imagerSrcset) {
+                        image.setAttribute('srcset', image.imagerSrcset);
+                    }
+
+                    setSource(image, src);
+                    onLoaded();
+                }
+            });
+        };
+
+        loader.onerror = function () {
+            var failedSrc = loader.src;
+
+            if (attempt < self.retryAttempts) {
+                // kept so as the retry can be cancelled when the image is unloaded, removed or Imager destroyed
+                image.imagerRetry = setTimeout(function () {
+                    image.imagerRetry = null;
+
+                    // the image may have been given another source in the meantime
+                    if (loader.src === failedSrc && image.imagerPendingSrc === src) {
+                        self.setImageSrc(image, src, attempt + 1);
+                    }
+                }, self.retryDelay * Math.pow(2, attempt));
+
+                return;
+            }
+
+            loader.onload = loader.onerror = null;
+            image.imagerFailedSrc = src;
+            releaseReservedHeight();
+            self.releaseLoadSlot(image);
+            self.onImageError(image, src);
+            self.emit('error', [image], [image, src]);
+
+            if (fallbackSrc) {
+                image.removeAttribute('srcset');
+                setSource(image, fallbackSrc);
+            }
+
+            image.className = removeClassName(image.className, self.lqipClassName);
+        };
+
+        if (image.imagerPicture) {
+            applyEach(image.imagerPicture.getElementsByTagName('source'), function (element) {
+                element.setAttribute('srcset', element.getAttribute('data-srcset'));
+            });
+        }
+
+        if (image.imagerSrcset && !image.imagerBackground) {
+            if (loader !== image) {
+                loader.setAttribute('sizes', image.getAttribute('sizes'));
+            }
+
+            loader.setAttribute('srcset', image.imagerSrcset);
+        }
+
+        loader.src = src;
+    };
+
+    /**
+     * Returns the low quality source of an image, used as a placeholder in `lqip` mode.
+     *
+     * It is either the `data-lqip` attribute value or the `data-src` computed with the smallest available width.
+     *
+     * @since 0.6.0
+     * @param {HTMLImageElement} image
+     * @returns {String|null}
+     */
+    Imager.prototype.getLowQualitySrc = function (image) {
+        var widths = this.getImageWidths(image);
+        var smallestWidth;
+
+        if (image.getAttribute('data-lqip')) {
+            return image.getAttribute('data-lqip');
+        }
+
+        if (typeof widths === 'function') {
+            return null;
+        }
+
+        smallestWidth = widths[0];
+
+        return this.changeImageSrcToUseNewImageDimensions(this.determineAppropriateSource(image, smallestWidth), smallestWidth, 1, image);
+    };
+
+    Imager.prototype.determineAppropriateResolution = function (image) {
+      var widths = this.getImageWidths(image);
+      var width = Imager.getClosestValue(image.getAttribute('data-width') || getContainer(image).clientWidth, widths);
+      var stepDown = this.networkConditions ? this.networkConditions.stepDown : 0;
+
+      if (stepDown) {
+        width = widths[Math.max(0, indexOf(widths, width) - stepDown)];
+      }
+
+      return width;
+    };
+
+    /**
+     * Returns the width an image should be displayed at, using the `availableWidths` function if any.
+     *
+     * @since 0.6.0
+     * @param {HTMLImageElement} image
+     * @returns {Number}
+     */
+    Imager.prototype.computeImageWidth = function (image) {
+        return typeof this.getImageWidths(image) === 'function' ? this.availableWidths(image)
+                                                                : this.determineAppropriateResolution(image);
+    };
+
+    /**
+     * Returns the widths available for an image: its `data-widths` attribute, or the `availableWidths` option.
+     *
+     * @since 0.6.0
+     * @param {HTMLImageElement} image
+     * @returns {Array.<Number>|Function}
+     */
+    Imager.prototype.getImageWidths = function (image) {
+        var widths = image.getAttribute('data-widths');
+
+        return widths ? parseNumbers(widths) : this.availableWidths;
+    };
+
+    /**
+     * Returns the preferred format among the `formats` option supported by the browser, or the `fallbackFormat`.
+     *
+     * @since 0.6.0
+     * @returns {String}
+     */
+    Imager.prototype.getSupportedFormat = function () {
+        var formats = filter(this.formats, function (format) {
+            return Imager.supportedFormats[format] === true;
+        });
+
+        return formats.length ? formats[0] : this.fallbackFormat;
+    };
+
+    /**
+     * Returns the pixel ratios available for an image: its `data-pixel-ratios` attribute, or the `availablePixelRatios` option.
+     *
+     * @since 0.6.0
+     * @param {HTMLImageElement} image
+     * @returns {Array.<Number>}
+     */
+    Imager.prototype.getImagePixelRatios = function (image) {
+        var pixelRatios = image.getAttribute('data-pixel-ratios');
+
+        return pixelRatios ? parseNumbers(pixelRatios) : this.availablePixelRatios;
+    };
+
+    /**
+     * Returns the pixel ratio an image should be loaded at.
+     *
+     * @since 0.6.0
+     * @param {HTMLImageElement} image
+     * @returns {Number}
+     */
+    Imager.prototype.getImagePixelRatio = function (image) {
+        if (!image.getAttribute('data-pixel-ratios')) {
+            return this.devicePixelRatio;
+        }
+
+        return Imager.getClosestValue(Math.min(Imager.getPixelRatio(), this.networkConditions.maxPixelRatio), this.getImagePixelRatios(image));
+    };
+
+    /**
+     * Indicates if an image is lazyloaded: its `data-lazyload` attribute prevails over the `lazyload` option.
+     *
+     * @since 0.6.0
+     * @param {HTMLImageElement} image
+     * @returns {boolean}
+     */
+    Imager.prototype.isLazyloaded = function (image) {
+        var lazyload = image.getAttribute('data-lazyload');
+
+        return lazyload === null ? this.lazyload : lazyload !== 'false';
+    };
+
+    /**
+     * Returns the `data-src` template matching a width.
+     *
+     * The art direction variant with the largest breakpoint lower or equal to `width` wins,
+     * the `data-src` (or `data-bg-src`) attribute is used otherwise.
+     *
+     * @since 0.6.0
+     * @param {HTMLImageElement} image
+     * @param {Number} width
+     * @returns {String}
+     */
+    Imager.prototype.determineAppropriateSource = function (image, width) {
+        var sources = Imager.getBreakpointSources(image);
+        var source = image.getAttribute('data-src') || image.getAttribute('data-bg-src');
+        var selectedBreakpoint = 0;
+
+        applyEach(getKeys(sources), function (breakpoint) {
+            breakpoint = parseFloat(breakpoint);
+
+            if (breakpoint <= parseFloat(width) && breakpoint >= selectedBreakpoint) {
+                selectedBreakpoint = breakpoint;
+                source = sources[breakpoint];
+            }
+        });
+
+        return source;
+    };
+
+    /**
+     * Returns the aspect ratio (width divided by height) of an image, if known.
+     *
+     * It is read from the `data-ratio` attribute (`16:9`, `16/9` or `1.78`), or computed from the
+     * `data-width` and `data-height` attributes if the `computeRatio` option is enabled.
+     *
+     * @since 0.6.0
+     * @param {HTMLElement} image
+     * @returns {Number|null}
+     */
+    Imager.prototype.getImageRatio = function (image) {
+        var ratio = image.getAttribute('data-ratio');
+        var width = image.getAttribute('data-width');
+        var height = image.getAttribute('data-height');
+
+        if (ratio) {
+            return parseRatio(ratio) || null;
+        }
+
+        if (this.computeRatio && width && height) {
+            return parseFloat(width) / parseFloat(height);
+        }
+
+        return null;
+    };
+
+    /**
+     * Returns the `sizes` attribute value of an image.
+     *
+     * It is either the `data-sizes` value, the `data-width` value or the container width.
+     *
+     * @since 0.6.0
+     * @param {HTMLImageElement} image
+     * @returns {String}
+     */
+    Imager.prototype.getImageSizes = function (image) {
+        var width = image.getAttribute('data-width') || getContainer(image).clientWidth;
+
+        return image.getAttribute('data-sizes') || (width ? width + 'px' : '100vw');
+    };
+
+    /**
+     * Returns the `srcset` attribute value of an image.
+     *
+     * Every available width is listed as a width descriptor if the `data-src` contains `{width}`.
+     * Otherwise the selected width is listed for every available pixel ratio as a density descriptor.
+     *
+     * @since 0.6.0
+     * @param {HTMLImageElement} image
+     * @param {Number} selectedWidth
+     * @returns {String}
+     */
+    Imager.prototype.getImageSrcset = function (image, selectedWidth) {
+        var self = this;
+        var src = this.determineAppropriateSource(image, selectedWidth);
+        var widths = this.getImageWidths(image);
+        var descriptors = {};
+        var candidates = [];
+
+        // URL builders handle the widths and pixel ratios by themselves
+        var getPixelRatios = function (src) {
+            return self.urlBuilder || /{pixel_ratio}/.test(src) ? self.getImagePixelRatios(image) : [1];
+        };
+
+        if (typeof widths === 'function' || (!this.urlBuilder && !/{width}/.test(src))) {
+            return applyEach(getPixelRatios(src), function (pixelRatio) {
+                return self.changeImageSrcToUseNewImageDimensions(src, selectedWidth, pixelRatio, image) + ' ' + pixelRatio + 'x';
+            }).join(', ');
+        }
+
+        applyEach(widths, function (width) {
+            var src = self.determineAppropriateSource(image, width);
+
+            applyEach(getPixelRatios(src), function (pixelRatio) {
+                var descriptor = Math.round(width * pixelRatio) + 'w';
+
+                if (!descriptors[descriptor]) {
+                    descriptors[descriptor] = true;
+                    candidates.push(self.changeImageSrcToUseNewImageDimensions(src, width, pixelRatio, image) + ' ' + descriptor);
+                }
+            });
+        });
+
+        return candidates.join(', ');
+    };
+
+    /**
+     * Updates the device pixel ratio value used by Imager
+     *
+     * It is performed before each replacement loop, in case a user zoomed in/out
+     * and thus updated the `window.devicePixelRatio` value.
+     *
+     * @api
+     * @since 1.0.1
+     */
+    Imager.prototype.refreshPixelRatio = function refreshPixelRatio() {
+        this.networkConditions = this.getNetworkConditions();
+        this.devicePixelRatio = Imager.getClosestValue(Math.min(Imager.getPixelRatio(), this.networkConditions.maxPixelRatio), this.availablePixelRatios);
+    };
+
+    /**
+     * Returns the constraints applied to the images because of the network conditions.
+     *
+     * They are provided by the `networkPolicy` function if the `networkAware` option is enabled
+     * and if the browser exposes the network information (`navigator.connection`).
+     *
+     * @since 0.6.0
+     * @returns {{maxPixelRatio: Number, stepDown: Number}}
+     */
+    Imager.prototype.getNetworkConditions = function () {
+        var connection = this.networkAware ? Imager.getConnection() : null;
+        var conditions = connection ? this.networkPolicy(connection) : null;
+
+        return {
+            maxPixelRatio: (conditions && conditions.maxPixelRatio) || Infinity,
+            stepDown: (conditions && conditions.stepDown) || 0
+        };
+    };
+
+    /**
+     * Replaces the `{token}` placeholders of an image URL template.
+     *
+     * Tokens are looked up in the instance `tokens` option first, then in `Imager.tokens`.
+     * Unknown tokens are reported to `onUnknownToken` and removed from the URL.
+     * The resulting URL is then passed to the `urlBuilder`, if any.
+     *
+     * @param {String} src
+     * @param {Number} selectedWidth
+     * @param {Number=} pixelRatio
+     * @param {HTMLImageElement=} image
+     * @returns {String}
+     */
+    Imager.prototype.changeImageSrcToUseNewImageDimensions = function (src, selectedWidth, pixelRatio, image) {
+        var self = this;
+        var url, ratio;
+
+        pixelRatio = pixelRatio || this.devicePixelRatio;
+
+        url = src.replace(/{(\w+)}/g, function (match, token) {
+            var tokens = self.tokens.hasOwnProperty(token) ? self.tokens : Imager.tokens;
+
+            if (!tokens.hasOwnProperty(token)) {
+                self.onUnknownToken(token, src, image);
+                return '';
+            }
+
+            return tokens[token].call(self, image, selectedWidth, pixelRatio);
+        });
+
+        if (!this.urlBuilder) {
+            return url;
+        }
+
+        ratio = image ? this.getImageRatio(image) : null;
+
+        return this.urlBuilder.call(this, url, {
+            width: selectedWidth,
+            height: ratio ? Math.round(selectedWidth / ratio) : null,
+            pixelRatio: pixelRatio
+        }, image);
+    };
+
+    /**
+     * URL builders of common image services, used alongside the `urlBuilder` option.
+     *
+     * Each builder receives the image URL and the `width`, `height` (`null` if the aspect ratio is unknown)
+     * and `pixelRatio` parameters, and returns the URL of the resized image; `this` is the Imager instance.
+     *
+     * @since 0.6.0
+     */
+    Imager.urlBuilders = {
+        // https://assets.imgix.net/photo.jpg -> https://assets.imgix.net/photo.jpg?w=640&h=360&fit=crop&dpr=2
+        imgix: function (url, params) {
+            var parameters = { w: params.width };
+
+            if (params.height) {
+                parameters.h = params.height;
+                parameters.fit = 'crop';
+            }
+
+            if (params.pixelRatio !== 1) {
+                parameters.dpr = params.pixelRatio;
+            }
+
+            return appendQueryString(url, parameters);
+        },
+
+        // https://res.cloudinary.com/demo/image/upload/sample.jpg -> https://res.cloudinary.com/demo/image/upload/w_640,h_360,c_fill,dpr_2.0/sample.jpg
+        cloudinary: function (url, params) {
+            var transformations = ['w_' + params.width];
+
+            if (params.height) {
+                transformations.push('h_' + params.height, 'c_fill');
+            }
+
+            if (params.pixelRatio !== 1) {
+                transformations.push('dpr_' + (params.pixelRatio % 1 ? params.pixelRatio : params.pixelRatio + '.0'));
+            }
+
+            return url.replace(/\/upload\//, '/upload/' + transformations.join(',') + '/');
+        },
+
+        // http://thumbor.example.com/unsafe/example.com/photo.jpg -> http://thumbor.example.com/unsafe/1280x720/example.com/photo.jpg
+        thumbor: function (url, params) {
+            var width = Math.round(params.width * params.pixelRatio);
+            var height = params.height ? Math.round(params.height * params.pixelRatio) : 0;
+
+            return url.replace(/\/unsafe\//, '/unsafe/' + width + 'x' + height + '/');
+        },
+
+        // https://ichef.bbci.co.uk/news/320/cpsprodpb/photo.jpg -> https://ichef.bbci.co.uk/news/1280/cpsprodpb/photo.jpg
+        ichef: function (url, params) {
+            return url.replace(/\/\d+\//, '/' + Math.round(params.width * params.pixelRatio) + '/');
+        }
+    };
+
+    Imager.getPixelRatio = function getPixelRatio(context) {
+        return (context || window)['devicePixelRatio'] || 1;
+    };
+
+    /**
+     * Returns the network information of the browser, if available.
+     *
+     * @since 0.6.0
+     * @param {Window=} context
+     * @returns {NetworkInformation|null}
+     */
+    Imager.getConnection = function getConnection(context) {
+        var navigator = (context || window).navigator;
+
+        return (navigator && navigator.connection) || null;
+    };
+
+    /**
+     * Default network policy, used alongside the `networkAware` option.
+     *
+     * Data saver mode and 2G connections get 1x images one width below the appropriate one,
+     * 3G connections get 1x images.
+     *
+     * @since 0.6.0
+     * @param {NetworkInformation} connection
+     * @returns {{maxPixelRatio: Number=, stepDown: Number=}|null}
+     */
+    Imager.networkPolicy = function networkPolicy(connection) {
+        if (connection.saveData || /^(slow-)?2g$/.test(connection.effectiveType)) {
+            return { maxPixelRatio: 1, stepDown: 1 };
+        }
+
+        if (connection.effectiveType === '3g') {
+            return { maxPixelRatio: 1 };
+        }
+
+        return null;
+    };
+
+    Imager.createWidthsMap = function createWidthsMap (widths, interpolator, pixelRatio) {
+        var map = {},
+            i   = widths.length;
+
+        while (i--) {
+            map[widths[i]] = interpolator(widths[i], pixelRatio);
+        }
+
+        return map;
+    };
+
+    Imager.transforms = {
+        pixelRatio: function (value) {
+            return value === 1 ? '' : '-' + value + 'x';
+        },
+        width: function (width, map) {
+            return map[width] || width;
+        }
+    };
+
+    /**
+     * URL template tokens, shared by every Imager instance.
+     *
+     * Each transform receives the image element, the selected width and the pixel ratio;
+     * `this` is the Imager instance.
+     *
+     * ```js
+     * Imager.tokens.quality = function (image) {
+     *     return image.getAttribute('data-quality') || 80;
+     * };
+     * ```
+     *
+     * @since 0.6.0
+     */
+    Imager.tokens = {
+        width: function (image, selectedWidth) {
+            // the widths of a `data-widths` attribute may be missing from the instance widths map
+            var widthsMap = this.widthsMap.hasOwnProperty(selectedWidth) ? this.widthsMap
+                                                                          : Imager.createWidthsMap([selectedWidth], this.widthInterpolator, this.devicePixelRatio);
+
+            return Imager.transforms.width(selectedWidth, widthsMap);
+        },
+        pixel_ratio: function (image, selectedWidth, pixelRatio) {
+            return Imager.transforms.pixelRatio(pixelRatio);
+        },
+        format: function () {
+            // the `img` element of a picture is only used by the browsers which support none of the formats
+            return this.picture ? this.fallbackFormat : this.getSupportedFormat();
+        },
+        height: function (image, selectedWidth) {
+            var ratio = image ? this.getImageRatio(image) : null;
+
+            if (ratio) {
+                return Math.round(selectedWidth / ratio);
+            }
+
+            return (image && image.getAttribute('data-height')) || '';
+        }
+    };
+
+    /**
+     * Returns the art direction variants of an element, indexed by their breakpoint.
+     *
+     * ```html
+     * <div data-src="square-{width}.jpg" data-src-768="wide-{width}.jpg" data-srcs='{"1024": "panorama-{width}.jpg"}'></div>
+     * ```
+     *
+     * @since 0.6.0
+     * @param {HTMLElement} element
+     * @returns {Object}
+     */
+    Imager.getBreakpointSources = function getBreakpointSources(element) {
+        var sources = {};
+        var json = parseJsonAttribute(element, 'data-srcs');
+
+        applyEach(element.attributes, function (attribute) {
+            var match = attribute.nodeName.match(/^data-src-(\d+)$/);
+
+            if (match) {
+                sources[match[1]] = attribute.nodeValue;
+            }
+        });
+
+        applyEach(getKeys(json), function (breakpoint) {
+            sources[breakpoint] = json[breakpoint];
+        });
+
+        return sources;
+    };
+
+    /**
+     * Returns the closest upper value.
+     *
+     * ```js
+     * var candidates = [1, 1.5, 2];
+     *
+     * Imager.getClosestValue(0.8, candidates); // -> 1
+     * Imager.getClosestValue(1, candidates); // -> 1
+     * Imager.getClosestValue(1.3, candidates); // -> 1.5
+     * Imager.getClosestValue(3, candidates); // -> 2
+     * ```
+     *
+     * @api
+     * @since 1.0.1
+     * @param {Number} baseValue
+     * @param {Array.<Number>} candidates
+     * @returns {Number}
+     */
+    Imager.getClosestValue = function getClosestValue(baseValue, candidates) {
+        var i             = candidates.length,
+            selectedWidth = candidates[i - 1];
+
+        baseValue = parseFloat(baseValue);
+
+        while (i--) {
+            if (baseValue <= candidates[i]) {
+                selectedWidth = candidates[i];
+            }
+        }
+
+        return selectedWidth;
+    };
+
+    var createVirtualElement = function (attributes, containerWidth) {
+        return {
+            attributes: applyEach(getKeys(attributes), function (name) {
+                return { nodeName: name, nodeValue: String(attributes[name]) };
+            }),
+            parentNode: { clientWidth: containerWidth || 0 },
+            getAttribute: function (name) {
+                return Object.prototype.hasOwnProperty.call(attributes, name) ? String(attributes[name]) : null;
+            }
+        };
+    };
+
+    var escapeAttribute = function (value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    };
+
+    /**
+     * Returns the attributes of the responsive image matching a placeholder, without relying on the DOM.
+     *
+     * It is intended for server-side rendering: the rendered images are then picked up by an Imager instance
+     * (with a selector matching their class name) which upgrades their source without replacing them.
+     *
+     * ```js
+     * Imager.getImageAttributes({ 'data-src': 'http://example.com/{width}.jpg', 'data-alt': 'A cat' }, {
+     *     availableWidths: [320, 640],
+     *     containerWidth: 480
+     * });
+     * // -> { 'data-src': 'http://example.com/{width}.jpg', 'class': 'image-replace', alt: 'A cat', src: 'http://example.com/640.jpg' }
+     * ```
+     *
+     * @api
+     * @since 0.6.0
+     * @param {Object} placeholder attributes of the placeholder element
+     * @param {Object=} opts Imager options, plus the `containerWidth` assumed for the image
+     * @returns {Object}
+     */
+    Imager.getImageAttributes = function getImageAttributes(placeholder, opts) {
+        var Renderer = function () {};
+        var attributes = {};
+        var renderer, image, computedWidth, ratio, copiedAttributes;
+
+        opts = opts || {};
+        Renderer.prototype = Imager.prototype;
+        renderer = new Renderer();
+        renderer.configureRendering(opts);
+        image = createVirtualElement(placeholder, opts.containerWidth);
+
+        computedWidth = renderer.computeImageWidth(image);
+
+        applyEach(getKeys(placeholder), function (name) {
+            if (/^data-/.test(name) && name !== 'data-class' && name !== 'data-alt') {
+                attributes[name] = String(placeholder[name]);
+            }
+        });
+
+        copiedAttributes = renderer.getCopiedAttributes(image);
+
+        applyEach(getKeys(copiedAttributes), function (name) {
+            attributes[name] = copiedAttributes[name];
+        });
+
+        attributes['class'] = (placeholder['data-class'] ? placeholder['data-class'] + ' ' : '') + renderer.className;
+        attributes.alt = placeholder['data-alt'] || placeholder.alt || '';
+        attributes.src = renderer.changeImageSrcToUseNewImageDimensions(renderer.determineAppropriateSource(image, computedWidth), computedWidth, renderer.getImagePixelRatio(image), image);
+
+        if (opts.srcset) {
+            attributes.sizes = renderer.getImageSizes(image);
+            attributes.srcset = renderer.getImageSrcset(image, computedWidth);
+        }
+
+        ratio = renderer.getImageRatio(image);
+
+        if (ratio) {
+            attributes.width = String(computedWidth);
+            attributes.height = String(Math.round(computedWidth / ratio));
+        }
+
+        return attributes;
+    };
+
+    /**
+     * Returns the `<img>` markup of the responsive image matching a placeholder, without relying on the DOM.
+     *
+     * @api
+     * @since 0.6.0
+     * @see Imager.getImageAttributes
+     * @param {Object} placeholder attributes of the placeholder element
+     * @param {Object=} opts
+     * @returns {String}
+     */
+    Imager.renderImage = function renderImage(placeholder, opts) {
+        var attributes = Imager.getImageAttributes(placeholder, opts);
+
+        return '<img' + applyEach(getKeys(attributes), function (name) {
+            return ' ' + name + '="' + escapeAttribute(attributes[name]) + '"';
+        }).join('') + '>';
+    };
+
+    Imager.prototype.registerResizeEvent = function (filterFn) {
+        var self = this;
+
+        if (Imager.hasResizeObserver()) {
+            this.resizeObserver = new window.ResizeObserver(function (entries) {
+                self.containerResizeCheck(entries, filterFn);
+            });
+
+            this.observeContainers(this.divs);
+
+            return;
+        }
+
+        this.registerEvent(window, 'resize', debounce(function () {
+            self.emit('resize', self.divs);
+            self.checkImagesNeedReplacing(self.divs, filterFn);
+        }, 100));
+    };
+
+    /**
+     * Unloads and reloads the images while the page is scrolled, if the `downgrade` option is set to `offscreen`.
+     *
+     * @since 0.6.0
+     */
+    Imager.prototype.registerDowngradeEvent = function () {
+        var self = this;
+        var scrollHandler = debounce(function () {
+            self.downgradeCheck();
+        }, this.scrollDelay);
+
+        this.registerEvent(window, 'scroll', scrollHandler);
+
+        if (this.scrollRoot) {
+            this.registerEvent(this.scrollRoot, 'scroll', scrollHandler);
+        }
+    };
+
+    /**
+     * Watches the size of the images containers, if the ResizeObserver is in use.
+     *
+     * @since 0.6.0
+     * @param {Array.<HTMLImageElement>} images
+     */
+    Imager.prototype.observeContainers = function (images) {
+        var self = this;
+
+        if (!this.resizeObserver) {
+            return;
+        }
+
+        applyEach(images, function (image) {
+            if (getContainer(image)) {
+                self.resizeObserver.observe(getContainer(image));
+            }
+        });
+    };
+
+    /**
+     * Updates the images whose container width has changed.
+     *
+     * The first size reported for a container is its initial size and does not trigger any update.
+     *
+     * @since 0.6.0
+     * @param {Array.<ResizeObserverEntry>} entries
+     * @param {Function=} filterFn
+     */
+    Imager.prototype.containerResizeCheck = function (entries, filterFn) {
+        var containerWidths = this.containerWidths;
+        var containers = [];
+        var images;
+
+        applyEach(entries, function (entry) {
+            // widths are kept per instance as several instances can observe the same container
+            var pair = filter(containerWidths, function (pair) {
+                return pair[0] === entry.target;
+            })[0];
+
+            if (!pair) {
+                containerWidths.push([entry.target, entry.contentRect.width]);
+                return;
+            }
+
+            if (pair[1] !== entry.contentRect.width) {
+                pair[1] = entry.contentRect.width;
+                containers.push(entry.target);
+            }
+        });
+
+        if (containers.length) {
+            images = filter(this.divs, function (image) {
+                return indexOf(containers, getContainer(image)) !== -1;
+            });
+
+            this.emit('resize', images);
+            this.checkImagesNeedReplacing(images, filterFn);
+        }
+    };
+
+    Imager.prototype.registerScrollEvent = function () {
+        var self = this;
+
+        this.scrolled = false;
+
+        // the viewport dimensions are used by the observer-less lazyload, the load priorities, the prefetch and the downgrade
+        this.registerEvent(window, 'resize', function () {
+            self.viewportHeight = document.documentElement.clientHeight;
+            self.viewportWidth = document.documentElement.clientWidth;
+            self.scrolled = true;
+        });
+
+        if (Imager.hasIntersectionObserver()) {
+            this.observer = new window.IntersectionObserver(function (entries) {
+                self.intersectionCheck(entries);
+            }, {
+                root: this.scrollRoot,
+                rootMargin: '0px ' + this.lazyloadOffset + 'px ' + this.lazyloadOffset + 'px 0px'
+            });
+
+            applyEach(this.divs, function (element) {
+                if (self.isPlaceholder(element) && self.isLazyloaded(element)) {
+                    self.observer.observe(element);
+                }
+            });
+
+            return;
+        }
+
+        this.interval = window.setInterval(function () {
+            self.scrollCheck();
+        }, self.scrollDelay);
+
+        var scrollHandler = function () {
+            self.scrolled = true;
+        };
+
+        this.registerEvent(window, 'scroll', scrollHandler);
+
+        if (this.scrollRoot) {
+            this.registerEvent(this.scrollRoot, 'scroll', scrollHandler);
         }
     };
 
     /**
-     * Indicates if an element is an Imager placeholder
+     * Watches the `observeRoot` element to process the newly added placeholders and
+     * to stop processing the images removed from the document.
      *
-     * @since 1.3.1
-     * @param {HTMLImageElement} element
-     * @returns {boolean}
+     * Newly added placeholders are detected only if Imager has been created with a selector.
+     *
+     * @since 0.6.0
      */
-    Imager.prototype.isPlaceholder = function (element) {
-        return element.src === this.gif.src;
+    Imager.prototype.registerMutationObserver = function () {
+        var self = this;
+
+        if (!Imager.hasMutationObserver()) {
+            return;
+        }
+
+        this.mutationObserver = new window.MutationObserver(function (mutations) {
+            self.mutationCheck(mutations);
+        });
+
+        this.mutationObserver.observe(this.observeRoot || document.body, {
+            childList: true,
+            subtree: true
+        });
     };
 
     /**
-     * Returns true if an element is located within a screen offset.
+     * Processes the nodes added to or removed from the document.
      *
-     * @param {HTMLElement} element
-     * @returns {boolean}
+     * @since 0.6.0
+     * @param {Array.<MutationRecord>} mutations
      */
-    Imager.prototype.isThisElementOnScreen = function (element) {
-        // document.body.scrollTop was working in Chrome but didn't work on Firefox, so had to resort to window.pageYOffset
-        // but can't fallback to document.body.scrollTop as that doesn't work in IE with a doctype (?) so have to use document.documentElement.scrollTop
-        var elementOffsetTop = 0;
-        var offset = Imager.getPageOffset() + this.lazyloadOffset;
+    Imager.prototype.mutationCheck = function (mutations) {
+        var self = this;
+        var hasRemovedNodes = false;
+        var elements = [];
 
-        if (element.offsetParent) {
-            do {
-                elementOffsetTop += element.offsetTop;
+        var collect = function (element) {
+            if (indexOf(elements, element) === -1 && indexOf(self.divs, element) === -1) {
+                elements.push(element);
             }
-            while (element = element.offsetParent);
-        }
+        };
 
-        return elementOffsetTop < (this.viewportHeight + offset);
-    };
+        applyEach(mutations, function (mutation) {
+            hasRemovedNodes = hasRemovedNodes || mutation.removedNodes.length > 0;
 
-    Imager.prototype.checkImagesNeedReplacing = function (images, filterFn) {
-        var self = this;
-        filterFn = filterFn || trueFn;
+            if (!self.selector) {
+                return;
+            }
 
-        if (!this.isResizing) {
-            this.isResizing = true;
-            this.refreshPixelRatio();
+            applyEach(mutation.addedNodes, function (node) {
+                if (node.nodeType !== 1) {
+                    return;
+                }
 
-            applyEach(images, function (image) {
-                if (filterFn(image)) {
-                    self.replaceImagesBasedOnScreenDimensions(image);
+                if (matchesSelector(node, self.selector)) {
+                    collect(node);
                 }
+
+                applyEach(node.querySelectorAll(self.selector), collect);
             });
+        });
 
-            this.isResizing = false;
-            this.onImagesReplaced(images);
+        if (hasRemovedNodes) {
+            this.removeDetachedImages();
+        }
+
+        // nodes may have been added then removed before the mutations are reported
+        elements = filter(elements, function (element) {
+            return document.documentElement.contains(element);
+        });
+
+        if (elements.length) {
+            this.add(elements);
         }
     };
 
     /**
-     * Upgrades an image from an empty placeholder to a fully sourced image element
+     * Stops processing the images which are not part of the document anymore.
      *
-     * @param {HTMLImageElement} image
+     * @since 0.6.0
      */
-    Imager.prototype.replaceImagesBasedOnScreenDimensions = function (image) {
-        var computedWidth, naturalWidth;
+    Imager.prototype.removeDetachedImages = function () {
+        this.remove(filter(this.divs, function (image) {
+            return !document.documentElement.contains(image);
+        }));
+    };
 
-	naturalWidth = Imager.getNaturalWidth(image);
-        computedWidth = typeof this.availableWidths === 'function' ? this.availableWidths(image)
-                                                                   : this.determineAppropriateResolution(image);
+    /**
+     * Attaches an event listener and keeps track of it so as `destroy()` can detach it later on.
+     *
+     * @since 0.6.0
+     * @param {EventTarget} el
+     * @param {String} eventName
+     * @param {Function} fn
+     */
+    Imager.prototype.registerEvent = function (el, eventName, fn) {
+        addEvent(el, eventName, fn);
+        this.registeredEvents.push([el, eventName, fn]);
+    };
 
-        image.width = computedWidth;
+    /**
+     * Stops any further processing of the images: event listeners are detached,
+     * lazyload checks are stopped and the images are released.
+     *
+     * The original placeholders are put back in place of the responsive images
+     * if `restorePlaceholders` is `true`.
+     *
+     * @api
+     * @since 0.6.0
+     * @param {Boolean=} restorePlaceholders
+     */
+    Imager.prototype.destroy = function (restorePlaceholders) {
+        clearTimeout(this.initTimeout);
+        this.initTimeout = null;
+        window.clearInterval(this.interval);
 
-        if (!this.isPlaceholder(image) && computedWidth <= naturalWidth) {
-            return;
+        applyEach(this.registeredEvents, function (event) {
+            removeEvent(event[0], event[1], event[2]);
+        });
+
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
         }
 
-        image.src = this.changeImageSrcToUseNewImageDimensions(image.getAttribute('data-src'), computedWidth);
-        image.removeAttribute('width');
-        image.removeAttribute('height');
-    };
+        if (this.mutationObserver) {
+            this.mutationObserver.disconnect();
+            this.mutationObserver = null;
+        }
 
-    Imager.prototype.determineAppropriateResolution = function (image) {
-      return Imager.getClosestValue(image.getAttribute('data-width') || image.parentNode.clientWidth, this.availableWidths);
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+
+        applyEach(this.divs, function (image) {
+            image.onload = image.onerror = null;
+            clearTimeout(image.imagerRetry);
+
+            if (image.imagerLoader) {
+                image.imagerLoader.onload = image.imagerLoader.onerror = null;
+            }
+        });
+
+        if (restorePlaceholders) {
+            applyEach(this.divs, function (image) {
+                var node = image.imagerPicture || image;
+
+                if (image.imagerPlaceholder && node.parentNode) {
+                    node.parentNode.replaceChild(image.imagerPlaceholder, node);
+                }
+            });
+        }
+
+        this.registeredEvents = [];
+        this.listeners = {};
+        this.divs = [];
+        this.queue = [];
+        this.loading = [];
+        this.containerWidths = [];
     };
 
     /**
-     * Updates the device pixel ratio value used by Imager
+     * Runs a callback once a loaded image is decoded, so as it can be displayed without delay.
      *
-     * It is performed before each replacement loop, in case a user zoomed in/out
-     * and thus updated the `window.devicePixelRatio` value.
-     *
-     * @api
-     * @since 1.0.1
+     * @since 0.6.0
+     * @param {HTMLImageElement} image
+     * @param {Function} callback
      */
-    Imager.prototype.refreshPixelRatio = function refreshPixelRatio() {
-        this.devicePixelRatio = Imager.getClosestValue(Imager.getPixelRatio(), this.availablePixelRatios);
+    Imager.decodeImage = function decodeImage(image, callback) {
+        if (typeof image.decode === 'function') {
+            image.decode().then(callback, callback);
+        }
+        else {
+            callback();
+        }
     };
 
-    Imager.prototype.changeImageSrcToUseNewImageDimensions = function (src, selectedWidth) {
-        return src
-            .replace(/{width}/g, Imager.transforms.width(selectedWidth, this.widthsMap))
-            .replace(/{pixel_ratio}/g, Imager.transforms.pixelRatio(this.devicePixelRatio));
-    };
+    /**
+     * Runs a callback when the browser is idle, or shortly after if `requestIdleCallback` is not supported.
+     *
+     * @since 0.6.0
+     * @param {Function} callback
+     * @param {Window=} context
+     */
+    Imager.requestIdleCallback = function requestIdleCallback(callback, context) {
+        context = context || window;
 
-    Imager.getPixelRatio = function getPixelRatio(context) {
-        return (context || window)['devicePixelRatio'] || 1;
+        if (typeof context.requestIdleCallback === 'function') {
+            context.requestIdleCallback(callback);
+        }
+        else {
+            setTimeout(callback, 1);
+        }
     };
 
-    Imager.createWidthsMap = function createWidthsMap (widths, interpolator, pixelRatio) {
-        var map = {},
-            i   = widths.length;
+    /**
+     * Promise implementation used by `whenReady`, `whenLoaded` and `load`.
+     *
+     * It can be replaced by a polyfill for the browsers lacking native Promises.
+     *
+     * @since 0.6.0
+     */
+    Imager.Promise = window.Promise;
 
-        while (i--) {
-            map[widths[i]] = interpolator(widths[i], pixelRatio);
+    /**
+     * Dispatches a bubbling DOM CustomEvent on an element, if the browser is able to.
+     *
+     * @since 0.6.0
+     * @param {HTMLElement} element
+     * @param {String} eventName
+     * @param {Object=} detail
+     */
+    Imager.dispatchEvent = function dispatchEvent(element, eventName, detail) {
+        var event;
+
+        if (!element.dispatchEvent) {
+            return;
         }
 
-        return map;
+        if (typeof window.CustomEvent === 'function') {
+            event = new window.CustomEvent(eventName, { bubbles: true, detail: detail });
+        }
+        else {
+            event = document.createEvent('CustomEvent');
+            event.initCustomEvent(eventName, true, false, detail);
+        }
+
+        element.dispatchEvent(event);
     };
 
-    Imager.transforms = {
-        pixelRatio: function (value) {
-            return value === 1 ? '' : '-' + value + 'x';
-        },
-        width: function (width, map) {
-            return map[width] || width;
-        }
+    /**
+     * Indicates if the browser supports the `picture` element.
+     *
+     * @since 0.6.0
+     * @param {Window=} context
+     * @returns {boolean}
+     */
+    Imager.hasPictureSupport = function hasPictureSupport(context) {
+        return 'HTMLPictureElement' in (context || window);
     };
 
     /**
-     * Returns the closest upper value.
+     * Indicates if the browser can parse the content of `noscript` elements into placeholders.
      *
-     * ```js
-     * var candidates = [1, 1.5, 2];
+     * @since 0.6.0
+     * @param {Document=} context
+     * @returns {boolean}
+     */
+    Imager.hasNoscriptSupport = function hasNoscriptSupport(context) {
+        var implementation = (context || document).implementation;
+
+        return Boolean(implementation && typeof implementation.createHTMLDocument === 'function');
+    };
+
+    /**
+     * Tiny images used to detect the support of the modern image formats.
      *
-     * Imager.getClosestValue(0.8, candidates); // -> 1
-     * Imager.getClosestValue(1, candidates); // -> 1
-     * Imager.getClosestValue(1.3, candidates); // -> 1.5
-     * Imager.getClosestValue(3, candidates); // -> 2
-     * ```
+     * @since 0.6.0
+     */
+    Imager.formatTests = {
+        webp: 'data:image/webp;base64,UklGRhoAAABXRUJQVlA4TA0AAAAvAAAAEAcQERGIiP4HAA==',
+        avif: 'data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAAAAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAAB0AAAAoaWluZgAAAAAAAQAAABppbmZlAgAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAIAAAACAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQ0MAAAAABNjb2xybmNseAACAAIAAYAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACVtZGF0EgAKCBgANogQEAwgMg8f8D///8WfhwB8+ErK42A='
+    };
+
+    /**
+     * Results of the image formats detection, indexed by format.
      *
-     * @api
-     * @since 1.0.1
-     * @param {Number} baseValue
-     * @param {Array.<Number>} candidates
-     * @returns {Number}
+     * @since 0.6.0
      */
-    Imager.getClosestValue = function getClosestValue(baseValue, candidates) {
-        var i             = candidates.length,
-            selectedWidth = candidates[i - 1];
+    Imager.supportedFormats = {};
 
-        baseValue = parseFloat(baseValue);
+    /**
+     * Detects the support of some image formats, then runs a callback.
+     *
+     * Results are stored in `Imager.supportedFormats`; formats without test image are considered as not supported.
+     *
+     * @since 0.6.0
+     * @param {Array.<String>} formats
+     * @param {Function} callback
+     */
+    Imager.detectFormats = function detectFormats(formats, callback) {
+        var pendingFormats = filter(formats, function (format) {
+            return !Imager.supportedFormats.hasOwnProperty(format);
+        });
+        var remaining = pendingFormats.length;
 
-        while (i--) {
-            if (baseValue <= candidates[i]) {
-                selectedWidth = candidates[i];
-            }
+        if (!remaining) {
+            callback();
+            return;
         }
 
-        return selectedWidth;
-    };
+        applyEach(pendingFormats, function (format) {
+            var image = document.createElement('img');
 
-    Imager.prototype.registerResizeEvent = function (filterFn) {
-        var self = this;
+            var complete = function (isSupported) {
+                image.onload = image.onerror = null;
+                Imager.supportedFormats[format] = isSupported;
 
-        addEvent(window, 'resize', debounce(function () {
-            self.checkImagesNeedReplacing(self.divs, filterFn);
-        }, 100));
-    };
+                if (--remaining === 0) {
+                    callback();
+                }
+            };
 
-    Imager.prototype.registerScrollEvent = function () {
-        var self = this;
+            if (!Imager.formatTests[format]) {
+                complete(false);
+                return;
+            }
 
-        this.scrolled = false;
+            image.onload = function () {
+                complete(image.width > 0);
+            };
 
-        this.interval = window.setInterval(function () {
-            self.scrollCheck();
-        }, self.scrollDelay);
+            image.onerror = function () {
+                complete(false);
+            };
 
-        addEvent(window, 'scroll', function () {
-            self.scrolled = true;
+            image.src = Imager.formatTests[format];
         });
+    };
 
-        addEvent(window, 'resize', function () {
-            self.viewportHeight = document.documentElement.clientHeight;
-            self.scrolled = true;
-        });
+    /**
+     * Downloads an image in the background so as it is served from the browser cache when needed.
+     *
+     * @since 0.6.0
+     * @param {String} src
+     */
+    Imager.prefetchImage = function prefetchImage(src) {
+        document.createElement('img').src = src;
+    };
+
+    /**
+     * Indicates if the browser natively supports the `srcset` and `sizes` image attributes.
+     *
+     * @since 0.6.0
+     * @param {HTMLImageElement=} image
+     * @returns {boolean}
+     */
+    Imager.hasSrcsetSupport = function hasSrcsetSupport(image) {
+        image = image || document.createElement('img');
+
+        return 'srcset' in image && 'sizes' in image;
+    };
+
+    /**
+     * Indicates if the lazyload can rely on IntersectionObserver rather than on scroll polling.
+     *
+     * @since 0.6.0
+     * @param {Window=} context
+     * @returns {boolean}
+     */
+    Imager.hasIntersectionObserver = function hasIntersectionObserver(context) {
+        return typeof (context || window).IntersectionObserver === 'function';
+    };
+
+    /**
+     * Indicates if the observe feature is supported.
+     *
+     * @since 0.6.0
+     * @param {Window=} context
+     * @returns {boolean}
+     */
+    Imager.hasMutationObserver = function hasMutationObserver(context) {
+        return typeof (context || window).MutationObserver === 'function';
+    };
+
+    /**
+     * Indicates if the images can be updated when their own container is resized, rather than when the window is.
+     *
+     * @since 0.6.0
+     * @param {Window=} context
+     * @returns {boolean}
+     */
+    Imager.hasResizeObserver = function hasResizeObserver(context) {
+        return typeof (context || window).ResizeObserver === 'function';
     };
 
     Imager.getPageOffsetGenerator = function getPageVerticalOffset(testCase) {
@@ -457,6 +2856,16 @@
         }
     };
 
+    /**
+     * Returns the horizontal scroll offset of the page.
+     *
+     * @since 0.6.0
+     * @returns {Number}
+     */
+    Imager.getPageHorizontalOffset = function getPageHorizontalOffset() {
+        return window.pageXOffset || document.documentElement.scrollLeft || 0;
+    };
+
     /**
      * Returns the naturalWidth of an image element.
      *
@@ -465,7 +2874,7 @@
      * @return {Number} Image width in pixels
      */
     Imager.getNaturalWidth = (function () {
-        if ('naturalWidth' in (new Image())) {
+        if (typeof Image === 'undefined' || 'naturalWidth' in (new Image())) {
             return function (image) {
                 return image.naturalWidth;
             };
@@ -484,6 +2893,7 @@
     // Exporting for testing and convenience purpose
     Imager.applyEach = applyEach;
     Imager.addEvent = addEvent;
+    Imager.removeEvent = removeEvent;
     Imager.debounce = debounce;
 
     /* jshint ignore:start */
@@ -499,4 +2909,5 @@
     }
     /* jshint ignore:end */
 
-}(window, document));
+// `window` and `document` are missing when evaluated server-side (see `Imager.getImageAttributes`)
+}(typeof window === 'object' ? window : {}, typeof document === 'object' ? document : null));
@@ -1,6 +1,6 @@
 'use strict';
 
-/* globals describe, beforeEach, afterEach, it, expect, Imager, jQuery, document, sinon */
+/* globals describe, beforeEach, afterEach, it, expect, Imager, jQuery, document, window, sinon */
 
 describe('Imager.js', function () {
     var fixtures, sandbox;
@@ -155,6 +155,175 @@ describe('Imager.js', function () {
         });
     });
 
+    describe('remove', function () {
+        it('should stop processing the images matching the elements or the selector', function (done) {
+            fixtures = loadFixtures('regular');
+            var placeholders = fixtures.querySelectorAll('#main .delayed-image-load');
+            var imgr = new Imager(placeholders, { maxConcurrentLoads: 1 });
+
+            imgr.ready(function () {
+                var images = imgr.divs.slice();
+
+                expect(imgr.queue).to.have.length(2);
+
+                imgr.remove([placeholders[0], images[1]]);
+
+                expect(imgr.divs).to.eql([images[2]]);
+                expect(images[0].onload).to.equal(null);
+                expect(images[0].imagerPendingSrc).to.equal(null);
+                expect(images[0].parentNode).to.be.ok();
+                expect(imgr.queue).to.have.length(0);
+                expect(imgr.loading).to.eql([images[2]]);
+
+                imgr.remove('#main .image-replace');
+                expect(imgr.divs).to.have.length(0);
+
+                done();
+            });
+        });
+    });
+
+    describe('update', function () {
+        it('should reload an image after its data-src or data-width have changed', function (done) {
+            fixtures = loadFixtures('data-src-new');
+            sandbox.stub(Imager, 'getNaturalWidth').returns(1024);
+            var imgr = new Imager(fixtures.querySelectorAll('.delayed-image-load'), { availableWidths: [320, 640] });
+
+            imgr.ready(function () {
+                var image = imgr.divs[1];
+
+                expect(image.getAttribute('src')).to.equal('base/test/fixtures/media/B-640.jpg');
+
+                image.setAttribute('data-width', '320');
+                imgr.checkImagesNeedReplacing(imgr.divs);
+                expect(image.getAttribute('src')).to.equal('base/test/fixtures/media/B-640.jpg');
+
+                imgr.update(image);
+                expect(image.getAttribute('src')).to.equal('base/test/fixtures/media/B-320.jpg');
+
+                image.setAttribute('data-src', 'base/test/fixtures/media/C-{width}.jpg');
+                imgr.update(image);
+                expect(image.getAttribute('src')).to.equal('base/test/fixtures/media/C-320.jpg');
+
+                done();
+            });
+        });
+    });
+
+    describe('destroy', function () {
+        it('should detach the event listeners and stop the lazyload polling', function (done) {
+            sandbox.stub(Imager, 'hasIntersectionObserver').returns(false);
+            sandbox.stub(Imager, 'hasResizeObserver').returns(false);
+            var clearIntervalSpy = sandbox.spy(window, 'clearInterval');
+            var imgr = new Imager({ lazyload: true });
+
+            imgr.ready(function () {
+                expect(imgr.registeredEvents).to.have.length(3);
+
+                imgr.destroy();
+
+                expect(imgr.registeredEvents).to.have.length(0);
+                expect(clearIntervalSpy.calledWith(imgr.interval)).to.equal(true);
+
+                done();
+            });
+        });
+
+        it('should not initialise if destroyed before being ready', function (done) {
+            var imgr = new Imager();
+            var initSpy = sandbox.spy(imgr, 'init');
+
+            imgr.destroy();
+
+            setTimeout(function () {
+                expect(initSpy.called).to.equal(false);
+                done();
+            }, 10);
+        });
+
+        it('should release the images but keep them in the document by default', function (done) {
+            fixtures = loadFixtures('regular');
+            var imgr = new Imager('#main .delayed-image-load');
+
+            imgr.ready(function () {
+                imgr.destroy();
+
+                expect(imgr.divs).to.have.length(0);
+                expect(document.querySelectorAll('#main img.' + imgr.className)).to.have.length(3);
+
+                done();
+            });
+        });
+
+        it('should restore the original placeholders if requested', function (done) {
+            fixtures = loadFixtures('regular');
+            var imgr = new Imager('#main .delayed-image-load');
+
+            imgr.ready(function () {
+                imgr.destroy(true);
+
+                var placeholders = document.querySelectorAll('#main .delayed-image-load');
+
+                expect(placeholders).to.have.length(3);
+                expect(placeholders[1]).to.have.property('nodeName', 'DIV');
+                expect(placeholders[1].getAttribute('data-alt')).to.equal('Responsive Image alternative');
+                expect(document.querySelectorAll('#main img.' + imgr.className)).to.have.length(0);
+
+                done();
+            });
+        });
+    });
+
+    describe('server-side rendering', function () {
+        it('should compute the responsive image attributes of a placeholder', function () {
+            var attributes = Imager.getImageAttributes({
+                'data-src': 'http://example.com/{width}{pixel_ratio}.jpg',
+                'data-alt': 'Responsive Image alternative',
+                'data-class': 'hero'
+            }, { availableWidths: [320, 640], containerWidth: 480 });
+
+            expect(attributes).to.eql({
+                'data-src': 'http://example.com/{width}{pixel_ratio}.jpg',
+                'class': 'hero image-replace',
+                alt: 'Responsive Image alternative',
+                src: 'http://example.com/640.jpg'
+            });
+        });
+
+        it('should render the srcset, sizes and dimensions of the image', function () {
+            var attributes = Imager.getImageAttributes({
+                'data-src': 'http://example.com/{width}x{height}.jpg',
+                'data-ratio': '2:1',
+                'data-width': '320'
+            }, { availableWidths: [320, 640], srcset: true });
+
+            expect(attributes.src).to.equal('http://example.com/320x160.jpg');
+            expect(attributes.srcset).to.equal('http://example.com/320x160.jpg 320w, http://example.com/640x320.jpg 640w');
+            expect(attributes.sizes).to.equal('320px');
+            expect(attributes.width).to.equal('320');
+            expect(attributes.height).to.equal('160');
+        });
+
+        it('should render an escaped img markup', function () {
+            var markup = Imager.renderImage({ 'data-src': 'http://example.com/{width}.jpg?a=1&b=2', 'data-alt': '"quoted"' }, { availableWidths: [320] });
+
+            expect(markup).to.equal('<img data-src="http://example.com/{width}.jpg?a=1&amp;b=2" class="image-replace" alt="&quot;quoted&quot;" src="http://example.com/320.jpg?a=1&amp;b=2">');
+        });
+
+        it('should hydrate server-rendered images without replacing them', function (done) {
+            fixtures = loadFixtures('server-rendered');
+            var images = Imager.applyEach(document.querySelectorAll('#main .image-replace'), function (image) { return image; });
+            var imgr = new Imager('#main .image-replace', { availableWidths: [320, 640] });
+
+            imgr.ready(function () {
+                expect(imgr.divs).to.eql(images);
+                expect(imgr.divs[1].getAttribute('src')).to.equal('base/test/fixtures/media/B-640.jpg');
+
+                done();
+            });
+        });
+    });
+
     describe('determineAppropriateResolution', function () {
         var imgr, windowWidth, availableWidths = [320, 640, 1024];
 
@@ -275,5 +444,42 @@ describe('Imager.js', function () {
 
             expect(imgr.isThisElementOnScreen(element)).to.equal(true);
         });
+
+        it('should not detect an element located beyond the viewport width', function(){
+            var element = {
+                offsetTop: 100,
+                offsetLeft: 1100,
+                offsetParent: {
+                    offsetTop: 0,
+                    offsetLeft: 0
+                }
+            };
+
+            sandbox.stub(imgr, 'viewportWidth', 1024);
+            sandbox.stub(Imager, 'getPageHorizontalOffset').returns(0);
+
+            expect(imgr.isThisElementOnScreen(element)).to.equal(false);
+
+            imgr.lazyloadOffset = 100;
+
+            expect(imgr.isThisElementOnScreen(element)).to.equal(true);
+        });
+
+        it('should detect an element located within the visible part of the scrollRoot element', function(){
+            var element = {
+                getBoundingClientRect: sinon.stub().returns({ top: 100, left: 700 })
+            };
+
+            sandbox.stub(imgr, 'viewportWidth', 1024);
+            imgr.scrollRoot = {
+                getBoundingClientRect: sinon.stub().returns({ bottom: 400, right: 600 })
+            };
+
+            expect(imgr.isThisElementOnScreen(element)).to.equal(false);
+
+            element.getBoundingClientRect.returns({ top: 100, left: 500 });
+
+            expect(imgr.isThisElementOnScreen(element)).to.equal(true);
+        });
     });
 });
@@ -1,6 +1,6 @@
 'use strict';
 
-/* globals describe, it, cleanFixtures, beforeEach, expect, afterEach, sinon, Imager */
+/* globals describe, it, cleanFixtures, beforeEach, expect, afterEach, sinon, Imager, document */
 
 describe('Imager.js HTML data-* API', function () {
     // Simili-Array.map for IE8 compat purpose
@@ -137,6 +137,373 @@ describe('Imager.js HTML data-* API', function () {
         });
     });
 
+    describe('handling srcset', function () {
+        it('should keep on swapping the src if srcset is not natively supported', function (done) {
+            fixtures = loadFixtures('srcset');
+            sandbox.stub(Imager, 'hasSrcsetSupport').returns(false);
+            var imgr = new Imager('#main .delayed-image-load', { availableWidths: [320, 640], srcset: true });
+
+            expect(imgr.srcset).to.equal(false);
+
+            imgr.ready(function () {
+                expect(imgr.divs[1].getAttribute('srcset')).to.equal(null);
+                expect(imgr.divs[1].getAttribute('src')).to.equal('base/test/fixtures/media/B-640.jpg');
+
+                done();
+            });
+        });
+
+        it('should list every available width as a width descriptor', function (done) {
+            fixtures = loadFixtures('srcset');
+            sandbox.stub(Imager, 'hasSrcsetSupport').returns(true);
+            var imgr = new Imager('#main .delayed-image-load', { availableWidths: [320, 640], srcset: true });
+
+            imgr.ready(function () {
+                expect(imgr.divs[1].getAttribute('srcset')).to.equal('base/test/fixtures/media/B-320.jpg 320w, base/test/fixtures/media/B-640.jpg 640w');
+                expect(imgr.divs[1].getAttribute('src')).to.equal('base/test/fixtures/media/B-640.jpg');
+
+                done();
+            });
+        });
+
+        it('should only set the srcset once the image is given its source', function (done) {
+            fixtures = loadFixtures('srcset');
+            sandbox.stub(Imager, 'hasSrcsetSupport').returns(true);
+            var imgr = new Imager('#main .delayed-image-load', { availableWidths: [320, 640], srcset: true, maxConcurrentLoads: 1 });
+
+            imgr.ready(function () {
+                expect(imgr.queue).to.have.length(2);
+                expect(imgr.queue[0].image.getAttribute('srcset')).to.equal(null);
+                expect(imgr.queue[1].image.getAttribute('srcset')).to.equal(null);
+                expect(imgr.loading[0].getAttribute('srcset')).to.contain('320w');
+
+                done();
+            });
+        });
+
+        it('should set the srcset on the loader in lqip mode', function (done) {
+            fixtures = loadFixtures('srcset');
+            sandbox.stub(Imager, 'hasSrcsetSupport').returns(true);
+            sandbox.stub(Imager, 'decodeImage').callsArg(1);
+            var imgr = new Imager('#main .delayed-image-load', { availableWidths: [320, 640], srcset: true, lqip: true });
+
+            imgr.ready(function () {
+                var image = imgr.divs[1];
+                var srcset = 'base/test/fixtures/media/B-320.jpg 320w, base/test/fixtures/media/B-640.jpg 640w';
+
+                expect(image.getAttribute('srcset')).to.equal(null);
+                expect(image.imagerLoader.getAttribute('srcset')).to.equal(srcset);
+                expect(image.imagerLoader.getAttribute('sizes')).to.equal('640px');
+
+                image.imagerLoader.onload();
+
+                expect(image.getAttribute('srcset')).to.equal(srcset);
+
+                done();
+            });
+        });
+
+        it('should derive sizes from data-sizes, data-width or the container width', function (done) {
+            fixtures = loadFixtures('srcset');
+            sandbox.stub(Imager, 'hasSrcsetSupport').returns(true);
+            var imgr = new Imager('#main .delayed-image-load', { availableWidths: [320, 640], srcset: true });
+
+            imgr.ready(function () {
+                expect(imgr.divs[0].getAttribute('sizes')).to.equal(imgr.divs[0].parentNode.clientWidth + 'px');
+                expect(imgr.divs[1].getAttribute('sizes')).to.equal('640px');
+                expect(imgr.divs[2].getAttribute('sizes')).to.equal('(min-width: 640px) 50vw, 100vw');
+
+                done();
+            });
+        });
+
+        it('should combine {width} and {pixel_ratio} without duplicating width descriptors', function () {
+            var imgr = new Imager({ availableWidths: [320, 640], availablePixelRatios: [1, 2] });
+            var image = document.createElement('img');
+
+            image.setAttribute('data-src', 'http://example.com/img{pixel_ratio}/A-{width}.jpg');
+
+            expect(imgr.getImageSrcset(image, 320)).to.equal([
+                'http://example.com/img/A-320.jpg 320w',
+                'http://example.com/img-2x/A-320.jpg 640w',
+                'http://example.com/img-2x/A-640.jpg 1280w'
+            ].join(', '));
+        });
+
+        it('should use density descriptors if the data-src does not contain {width}', function () {
+            var imgr = new Imager({ availableWidths: [320, 640], availablePixelRatios: [1, 2] });
+            var image = document.createElement('img');
+
+            image.setAttribute('data-src', 'http://example.com/img{pixel_ratio}/A.jpg');
+
+            expect(imgr.getImageSrcset(image, 320)).to.equal('http://example.com/img/A.jpg 1x, http://example.com/img-2x/A.jpg 2x');
+        });
+    });
+
+    describe('handling art direction variants', function () {
+        it('should carry the data-src-<breakpoint> and data-srcs attributes over to the responsive image', function () {
+            fixtures = loadFixtures('art-direction');
+            var imgr = new Imager('#main .delayed-image-load');
+
+            expect(imgr.divs[0].getAttribute('data-src-640')).to.equal('base/test/fixtures/media/B-{width}.jpg');
+            expect(imgr.divs[2].getAttribute('data-srcs')).to.contain('"1024"');
+        });
+
+        it('should pick the variant with the closest lower breakpoint', function (done) {
+            fixtures = loadFixtures('art-direction');
+            var imgr = new Imager('#main .delayed-image-load', { availableWidths: [320, 640, 1024] });
+
+            imgr.ready(function () {
+                var src = applyEach(imgr.divs, function (el) {
+                    return el.getAttribute('src');
+                });
+
+                expect(src).to.eql([
+                    'base/test/fixtures/media/A-320.jpg',
+                    'base/test/fixtures/media/B-640.jpg',
+                    'base/test/fixtures/media/C-640.jpg'
+                ]);
+
+                done();
+            });
+        });
+
+        it('should swap to a different variant even if the image gets smaller', function (done) {
+            fixtures = loadFixtures('art-direction');
+            var imgr = new Imager('#main .delayed-image-load', { availableWidths: [320, 640, 1024] });
+
+            imgr.ready(function () {
+                var image = imgr.divs[1];
+
+                sandbox.stub(Imager, 'getNaturalWidth').returns(640);
+                image.setAttribute('data-width', '320');
+                imgr.checkImagesNeedReplacing([image]);
+
+                expect(image.getAttribute('src')).to.equal('base/test/fixtures/media/A-320.jpg');
+
+                done();
+            });
+        });
+
+        it('should return the variants indexed by breakpoint', function () {
+            var element = document.createElement('div');
+
+            element.setAttribute('data-src', 'default.jpg');
+            element.setAttribute('data-src-768', 'wide.jpg');
+            element.setAttribute('data-srcs', '{"1024": "panorama.jpg"}');
+
+            expect(Imager.getBreakpointSources(element)).to.eql({ 768: 'wide.jpg', 1024: 'panorama.jpg' });
+        });
+
+        it('should ignore a malformed data-srcs value', function () {
+            var element = document.createElement('div');
+            var warnStub = sandbox.stub(window.console, 'warn');
+
+            element.setAttribute('data-src-768', 'wide.jpg');
+            element.setAttribute('data-srcs', '{"1024": ');
+
+            expect(Imager.getBreakpointSources(element)).to.eql({ 768: 'wide.jpg' });
+            expect(warnStub.calledOnce).to.equal(true);
+        });
+    });
+
+    describe('handling {format} in data-src', function () {
+        var supportedFormats = Imager.supportedFormats;
+
+        beforeEach(function () {
+            fixtures = loadFixtures('formats');
+        });
+
+        afterEach(function () {
+            Imager.supportedFormats = supportedFormats;
+        });
+
+        it('should wrap the image in a picture element with a source per format', function (done) {
+            sandbox.stub(Imager, 'hasPictureSupport').returns(true);
+            var imgr = new Imager(fixtures.querySelectorAll('.delayed-image-load'), { availableWidths: [320], formats: ['avif', 'webp'], picture: true });
+
+            imgr.ready(function () {
+                var image = imgr.divs[0];
+                var sources = image.parentNode.getElementsByTagName('source');
+
+                expect(image.parentNode.nodeName).to.equal('PICTURE');
+                expect(sources).to.have.length(2);
+                expect(sources[0].getAttribute('type')).to.equal('image/avif');
+                expect(sources[0].getAttribute('srcset')).to.equal('base/test/fixtures/media/A-320.avif');
+                expect(sources[1].getAttribute('srcset')).to.equal('base/test/fixtures/media/A-320.webp');
+                expect(image.getAttribute('src')).to.equal('base/test/fixtures/media/A-320.jpg');
+
+                imgr.destroy(true);
+                expect(fixtures.querySelector('#main').firstElementChild).to.have.property('className', 'delayed-image-load');
+
+                done();
+            });
+        });
+
+        it('should pick the best supported format if the picture element is not supported', function (done) {
+            sandbox.stub(Imager, 'hasPictureSupport').returns(false);
+            sandbox.stub(Imager, 'detectFormats', function (formats, callback) {
+                Imager.supportedFormats = { avif: false, webp: true };
+                callback();
+            });
+            var imgr = new Imager(fixtures.querySelectorAll('.delayed-image-load'), { availableWidths: [320], formats: ['avif', 'webp'], picture: true });
+
+            imgr.ready(function () {
+                expect(imgr.picture).to.equal(false);
+                expect(imgr.divs[0].parentNode.nodeName).to.equal('DIV');
+                expect(imgr.divs[0].getAttribute('src')).to.equal('base/test/fixtures/media/A-320.webp');
+
+                done();
+            });
+        });
+
+        it('should consider the formats without test image as not supported', function () {
+            var callback = sandbox.spy();
+            Imager.supportedFormats = {};
+
+            Imager.detectFormats(['jxl'], callback);
+
+            expect(callback.calledOnce).to.equal(true);
+            expect(Imager.supportedFormats).to.eql({ jxl: false });
+        });
+    });
+
+    describe('handling data-bg-src', function () {
+        beforeEach(function () {
+            fixtures = loadFixtures('background');
+            sandbox.stub(Imager, 'decodeImage').callsArg(1);
+        });
+
+        it('should keep the element and set its background image once loaded', function (done) {
+            var imgr = new Imager(fixtures.querySelectorAll('.delayed-image-load'), { availableWidths: [320, 640] });
+
+            imgr.ready(function () {
+                var element = imgr.divs[0];
+
+                expect(element).to.equal(fixtures.querySelector('.delayed-image-load'));
+                expect(element.style.backgroundImage).to.equal('');
+                expect(imgr.isPlaceholder(element)).to.equal(false);
+
+                element.imagerLoader.onload();
+
+                expect(element.style.backgroundImage).to.match(/A-320\.jpg/);
+
+                done();
+            });
+        });
+
+        it('should escape the URL of the background image', function (done) {
+            var element = fixtures.querySelector('.delayed-image-load');
+            var imgr;
+
+            element.setAttribute('data-bg-src', 'base/test/fixtures/media/A-{width}.jpg?title="a\\b"');
+            imgr = new Imager([element], { availableWidths: [320, 640] });
+
+            imgr.ready(function () {
+                element.imagerLoader.onload();
+
+                expect(element.style.backgroundImage).to.contain('A-320.jpg?title=');
+
+                done();
+            });
+        });
+
+        it('should only upgrade the background image to larger widths', function (done) {
+            var imgr = new Imager(fixtures.querySelectorAll('.delayed-image-load'), { availableWidths: [320, 640] });
+
+            imgr.ready(function () {
+                var element = imgr.divs[0];
+
+                element.setAttribute('data-width', '640');
+                imgr.checkImagesNeedReplacing(imgr.divs);
+                expect(element.imagerPendingSrc).to.equal('base/test/fixtures/media/A-640.jpg');
+
+                element.setAttribute('data-width', '320');
+                imgr.checkImagesNeedReplacing(imgr.divs);
+                expect(element.imagerPendingSrc).to.equal('base/test/fixtures/media/A-640.jpg');
+
+                done();
+            });
+        });
+    });
+
+    describe('enhancing existing img and noscript elements', function () {
+        beforeEach(function () {
+            fixtures = loadFixtures('enhance');
+            sandbox.stub(Imager, 'decodeImage').callsArg(1);
+        });
+
+        it('should keep an existing img element in place and upgrade its source once loaded', function (done) {
+            var image = fixtures.querySelector('img.delayed-image-load');
+            var imgr = new Imager([image], { availableWidths: [320, 640] });
+
+            imgr.ready(function () {
+                expect(imgr.divs[0]).to.equal(image);
+                expect(image.getAttribute('src')).to.equal('base/test/fixtures/media/A-320.jpg');
+                expect(image.getAttribute('width')).to.equal('320');
+                expect(image.getAttribute('alt')).to.equal('Existing image');
+
+                image.imagerLoader.onload();
+
+                expect(image.getAttribute('src')).to.equal('base/test/fixtures/media/B-320.jpg');
+
+                done();
+            });
+        });
+
+        it('should leave the noscript elements as is if their content cannot be parsed', function (done) {
+            var noscript = fixtures.querySelector('noscript');
+            sandbox.stub(Imager, 'hasNoscriptSupport').returns(false);
+            var imgr = new Imager([noscript], { availableWidths: [320, 640] });
+
+            imgr.ready(function () {
+                expect(imgr.divs).to.have.length(0);
+                expect(noscript.parentNode).to.equal(fixtures.querySelector('#main'));
+
+                done();
+            });
+        });
+
+        it('should still replace the img placeholders without any source', function (done) {
+            var placeholder = fixtures.querySelector('#main').appendChild(document.createElement('img'));
+            var imgr;
+
+            placeholder.setAttribute('data-src', 'base/test/fixtures/media/B-{width}.jpg');
+            placeholder.setAttribute('data-width', '320');
+            imgr = new Imager([placeholder], { availableWidths: [320, 640] });
+
+            imgr.ready(function () {
+                expect(imgr.divs[0]).not.to.equal(placeholder);
+                expect(imgr.divs[0].imagerEnhanced).to.equal(undefined);
+                expect(imgr.divs[0].imagerPlaceholder).to.equal(placeholder);
+                expect(imgr.divs[0].getAttribute('src')).to.equal('base/test/fixtures/media/B-320.jpg');
+
+                done();
+            });
+        });
+
+        it('should parse the content of a noscript element into a responsive image', function (done) {
+            var noscript = fixtures.querySelector('noscript');
+            var imgr = new Imager([noscript], { availableWidths: [320, 640] });
+
+            imgr.ready(function () {
+                var image = imgr.divs[0];
+
+                expect(noscript.parentNode).to.equal(null);
+                expect(image.nodeName).to.equal('IMG');
+                expect(image.getAttribute('data-src')).to.equal('base/test/fixtures/media/C-320.jpg');
+                expect(image.getAttribute('alt')).to.equal('Fallback image');
+                expect(image.className).to.equal('fallback ' + imgr.className);
+
+                imgr.destroy(true);
+
+                expect(fixtures.querySelector('noscript')).to.equal(noscript);
+
+                done();
+            });
+        });
+    });
+
     describe('Imager.getPixelRatio', function () {
         it('should return a numeric value', function () {
             expect(Imager.getPixelRatio()).to.be.above(0);
@@ -172,6 +539,89 @@ describe('Imager.js HTML data-* API', function () {
         });
     });
 
+    describe('handling custom tokens in data-src', function () {
+        afterEach(function () {
+            delete Imager.tokens.quality;
+        });
+
+        it('should replace the tokens registered in Imager.tokens', function () {
+            var imgr = new Imager();
+            var image = document.createElement('img');
+
+            image.setAttribute('data-quality', '60');
+            Imager.tokens.quality = function (image) {
+                return image.getAttribute('data-quality');
+            };
+
+            expect(imgr.changeImageSrcToUseNewImageDimensions('http://example.com/A-{width}.jpg?q={quality}', 320, 1, image))
+                .to.equal('http://example.com/A-320.jpg?q=60');
+        });
+
+        it('should provide the image, the selected width and the pixel ratio to the instance tokens', function () {
+            var formatStub = sandbox.stub().returns('webp');
+            var imgr = new Imager({ tokens: { format: formatStub } });
+            var image = document.createElement('img');
+
+            expect(imgr.changeImageSrcToUseNewImageDimensions('http://example.com/A-{width}.{format}', 320, 2, image))
+                .to.equal('http://example.com/A-320.webp');
+
+            expect(formatStub.firstCall.args).to.eql([image, 320, 2]);
+            expect(formatStub.firstCall.thisValue).to.equal(imgr);
+        });
+
+        it('should let the instance tokens override the shared ones', function () {
+            var imgr = new Imager({ tokens: { width: function (image, width) { return 'w' + width; } } });
+
+            expect(imgr.changeImageSrcToUseNewImageDimensions('http://example.com/A-{width}.jpg', 320)).to.equal('http://example.com/A-w320.jpg');
+        });
+
+        it('should report and remove the unknown tokens', function () {
+            var unknownTokenSpy = sandbox.spy();
+            var imgr = new Imager({ onUnknownToken: unknownTokenSpy });
+            var src = 'http://example.com/A-{width}.jpg?crop={crop}';
+
+            expect(imgr.changeImageSrcToUseNewImageDimensions(src, 320)).to.equal('http://example.com/A-320.jpg?crop=');
+            expect(unknownTokenSpy.calledWith('crop', src)).to.equal(true);
+        });
+    });
+
+    describe('handling urlBuilder', function () {
+        var image;
+
+        beforeEach(function () {
+            image = document.createElement('img');
+            image.setAttribute('data-ratio', '16:9');
+        });
+
+        it('should build the URLs of the common image services', function () {
+            var build = function (urlBuilder, url) {
+                return new Imager([], { urlBuilder: urlBuilder }).changeImageSrcToUseNewImageDimensions(url, 640, 2, image);
+            };
+
+            expect(build('imgix', 'https://assets.imgix.net/photo.jpg?sat=-100')).to.equal('https://assets.imgix.net/photo.jpg?sat=-100&w=640&h=360&fit=crop&dpr=2');
+            expect(build('cloudinary', 'https://res.cloudinary.com/demo/image/upload/sample.jpg')).to.equal('https://res.cloudinary.com/demo/image/upload/w_640,h_360,c_fill,dpr_2.0/sample.jpg');
+            expect(build('thumbor', 'http://thumbor.example.com/unsafe/example.com/photo.jpg')).to.equal('http://thumbor.example.com/unsafe/1280x720/example.com/photo.jpg');
+            expect(build('ichef', 'https://ichef.bbci.co.uk/news/320/cpsprodpb/photo.jpg')).to.equal('https://ichef.bbci.co.uk/news/1280/cpsprodpb/photo.jpg');
+        });
+
+        it('should pass the replaced URL and the image dimensions to a custom builder', function () {
+            var urlBuilder = sandbox.stub().returns('http://example.com/built.jpg');
+            var imgr = new Imager([], { urlBuilder: urlBuilder, tokens: { quality: function () { return 80; } } });
+
+            expect(imgr.changeImageSrcToUseNewImageDimensions('http://example.com/photo.jpg?q={quality}', 320, 1, image)).to.equal('http://example.com/built.jpg');
+            expect(urlBuilder.calledWith('http://example.com/photo.jpg?q=80', { width: 320, height: 180, pixelRatio: 1 }, image)).to.equal(true);
+        });
+
+        it('should list width descriptors for the built URLs', function () {
+            var imgr = new Imager([], { urlBuilder: 'imgix', availableWidths: [320, 640], availablePixelRatios: [1] });
+
+            image.removeAttribute('data-ratio');
+            image.setAttribute('data-src', 'https://assets.imgix.net/photo.jpg');
+
+            expect(imgr.getImageSrcset(image, 320)).to.equal('https://assets.imgix.net/photo.jpg?w=320 320w, https://assets.imgix.net/photo.jpg?w=640 640w');
+        });
+    });
+
     describe('handling data-alt', function () {
         it('should generate an empty alt attribute for the responsive image', function (done) {
             fixtures = loadFixtures('regular');
@@ -232,6 +682,195 @@ describe('Imager.js HTML data-* API', function () {
         });
     });
 
+    describe('handling data-ratio and data-height', function () {
+        beforeEach(function () {
+            fixtures = loadFixtures('aspect-ratio');
+        });
+
+        it('should reserve the placeholder box based on data-ratio', function () {
+            var imgr = new Imager('#main .delayed-image-load');
+
+            expect(imgr.divs[0].getAttribute('width')).to.equal('320');
+            expect(imgr.divs[0].getAttribute('height')).to.equal('180');
+        });
+
+        it('should reserve the placeholder height based on data-height', function () {
+            var imgr = new Imager('#main .delayed-image-load');
+
+            expect(imgr.divs[2].getAttribute('height')).to.equal('200');
+        });
+
+        it('should compute the ratio from data-width and data-height only if computeRatio is enabled', function () {
+            var imgr = new Imager('#main .delayed-image-load');
+            expect(imgr.getImageRatio(imgr.divs[1])).to.equal(null);
+
+            imgr.computeRatio = true;
+            expect(imgr.getImageRatio(imgr.divs[1])).to.equal(2);
+        });
+
+        it('should parse the data-ratio formats', function () {
+            var imgr = new Imager();
+            var image = document.createElement('img');
+
+            applyEach(['16:9', '16/9', '1.7777777777777777'], function (ratio) {
+                image.setAttribute('data-ratio', ratio);
+                expect(imgr.getImageRatio(image).toFixed(3)).to.equal('1.778');
+            });
+        });
+
+        it('should replace {height} and keep the dimensions of the responsive image', function (done) {
+            var imgr = new Imager('#main .delayed-image-load', { availableWidths: [320, 640], computeRatio: true });
+
+            imgr.ready(function () {
+                expect(imgr.divs[0].getAttribute('src')).to.equal('base/test/fixtures/media/A-320x180.jpg');
+                expect(imgr.divs[1].getAttribute('src')).to.equal('base/test/fixtures/media/B-640x320.jpg');
+                expect(imgr.divs[2].getAttribute('src')).to.match(/\?h=200$/);
+
+                expect(imgr.divs[1].getAttribute('width')).to.equal('640');
+                expect(imgr.divs[1].getAttribute('height')).to.equal('320');
+                expect(imgr.divs[2].getAttribute('height')).to.equal('200');
+
+                imgr.divs[2].onload();
+                expect(imgr.divs[2].getAttribute('height')).to.equal(null);
+
+                done();
+            });
+        });
+
+        it('should keep the box of the displayed width whatever the width of the source', function (done) {
+            var imgr = new Imager('#main .delayed-image-load', { availableWidths: [640] });
+
+            imgr.ready(function () {
+                expect(imgr.divs[0].getAttribute('src')).to.equal('base/test/fixtures/media/A-640x360.jpg');
+                expect(imgr.divs[0].getAttribute('width')).to.equal('320');
+                expect(imgr.divs[0].getAttribute('height')).to.equal('180');
+
+                done();
+            });
+        });
+    });
+
+    describe('handling data-widths, data-pixel-ratios and data-lazyload', function () {
+        beforeEach(function () {
+            fixtures = loadFixtures('overrides');
+            sandbox.stub(Imager, 'hasIntersectionObserver').returns(false);
+        });
+
+        it('should use the widths and pixel ratios of the image rather than the instance ones', function (done) {
+            sandbox.stub(Imager, 'getPixelRatio').returns(2);
+            var imgr = new Imager(fixtures.querySelectorAll('.delayed-image-load'), { availableWidths: [320, 640] });
+
+            imgr.ready(function () {
+                expect(imgr.getImageWidths(imgr.divs[0])).to.eql([480, 960]);
+                expect(imgr.divs[0].getAttribute('src')).to.equal('base/test/fixtures/media/A-480.jpg');
+                expect(imgr.divs[1].getAttribute('src')).to.equal('base/test/fixtures/media/B-320-3x.jpg');
+                expect(imgr.getImageWidths(imgr.divs[1])).to.equal(imgr.availableWidths);
+
+                done();
+            });
+        });
+
+        it('should load the images opted out of the lazyload straight away', function (done) {
+            var imgr = new Imager(fixtures.querySelectorAll('.delayed-image-load'), { lazyload: true });
+            sandbox.stub(imgr, 'isThisElementOnScreen').returns(false);
+
+            imgr.ready(function () {
+                expect(imgr.isPlaceholder(imgr.divs[2])).to.equal(false);
+                expect(imgr.isPlaceholder(imgr.divs[3])).to.equal(true);
+                expect(imgr.isPlaceholder(imgr.divs[4])).to.equal(true);
+
+                imgr.destroy();
+                done();
+            });
+        });
+
+        it('should lazyload the images opted in even if the lazyload option is disabled', function (done) {
+            var imgr = new Imager(fixtures.querySelectorAll('.delayed-image-load'));
+            sandbox.stub(imgr, 'isThisElementOnScreen').returns(false);
+
+            imgr.ready(function () {
+                expect(imgr.isPlaceholder(imgr.divs[3])).to.equal(false);
+                expect(imgr.isPlaceholder(imgr.divs[4])).to.equal(true);
+
+                imgr.destroy();
+                done();
+            });
+        });
+    });
+
+    describe('handling copyAttributes, ignoredAttributes and data-attrs', function () {
+        beforeEach(function () {
+            fixtures = loadFixtures('attributes');
+        });
+
+        it('should only copy the attributes handled by Imager and data-attrs by default', function () {
+            var imgr = new Imager('#main .delayed-image-load');
+
+            expect(imgr.divs[0].getAttribute('id')).to.equal(null);
+            expect(imgr.divs[0].getAttribute('title')).to.equal(null);
+            expect(imgr.divs[0].getAttribute('alt')).to.equal('Hero');
+
+            expect(imgr.divs[1].getAttribute('itemprop')).to.equal('thumbnail');
+            expect(imgr.divs[1].getAttribute('role')).to.equal('presentation');
+            expect(imgr.divs[1].getAttribute('data-src')).to.equal('base/test/fixtures/media/B-320.jpg');
+        });
+
+        it('should ignore a malformed data-attrs value', function () {
+            var placeholder = fixtures.querySelectorAll('#main .delayed-image-load')[1];
+            var warnStub = sandbox.stub(window.console, 'warn');
+            var imgr;
+
+            placeholder.setAttribute('data-attrs', '{oops');
+            imgr = new Imager('#main .delayed-image-load');
+
+            expect(imgr.divs).to.have.length(2);
+            expect(imgr.divs[1].getAttribute('itemprop')).to.equal(null);
+            expect(warnStub.calledOnce).to.equal(true);
+        });
+
+        it('should copy every attribute but the ones handled by Imager', function () {
+            var imgr = new Imager('#main .delayed-image-load', { copyAttributes: true });
+            var image = imgr.divs[0];
+
+            expect(image.getAttribute('id')).to.equal('hero');
+            expect(image.getAttribute('title')).to.equal('A hero');
+            expect(image.getAttribute('aria-describedby')).to.equal('caption');
+            expect(image.getAttribute('itemprop')).to.equal('image');
+            expect(image.getAttribute('data-track-id')).to.equal('42');
+            expect(image.getAttribute('data-alt')).to.equal(null);
+            expect(image.className).to.equal(imgr.className);
+        });
+
+        it('should copy the allowed attributes only', function () {
+            var imgr = new Imager('#main .delayed-image-load', { copyAttributes: ['id', 'aria-*'] });
+            var image = imgr.divs[0];
+
+            expect(image.getAttribute('id')).to.equal('hero');
+            expect(image.getAttribute('aria-describedby')).to.equal('caption');
+            expect(image.getAttribute('title')).to.equal(null);
+            expect(image.getAttribute('data-track-id')).to.equal(null);
+        });
+
+        it('should not copy the ignored attributes', function () {
+            var imgr = new Imager('#main .delayed-image-load', { copyAttributes: true, ignoredAttributes: ['id', 'data-track-*', 'role'] });
+
+            expect(imgr.divs[0].getAttribute('title')).to.equal('A hero');
+            expect(imgr.divs[0].getAttribute('id')).to.equal(null);
+            expect(imgr.divs[0].getAttribute('data-track-id')).to.equal(null);
+            expect(imgr.divs[1].getAttribute('role')).to.equal(null);
+        });
+
+        it('should apply the same policy to the server-side rendering', function () {
+            var attributes = Imager.getImageAttributes({ 'data-src': 'http://example.com/{width}.jpg', id: 'hero', title: 'A hero' }, {
+                availableWidths: [320],
+                copyAttributes: ['title']
+            });
+
+            expect(attributes.title).to.equal('A hero');
+            expect(attributes).not.to.have.property('id');
+        });
+    });
+
     describe('handling data-class', function () {
         it('should not differ from the placeholder className if not set', function () {
             fixtures = loadFixtures('data-class');
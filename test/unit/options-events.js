@@ -1,6 +1,6 @@
 'use strict';
 
-/* globals describe, it, beforeEach, afterEach, sinon, Imager */
+/* globals describe, it, beforeEach, afterEach, sinon, Imager, window, document */
 
 describe('Imager.js Events', function () {
     var fixtures, sandbox;
@@ -85,6 +85,899 @@ describe('Imager.js Events', function () {
             });
         });
 
+        describe('on, off and once', function () {
+            it('should run the listeners of an event until they unsubscribe', function () {
+                var imgr = new Imager([]);
+                var listener = sandbox.spy();
+                var onceListener = sandbox.spy();
+                var removedListener = sandbox.spy();
+                var image = document.createElement('img');
+
+                imgr.on('load', listener).once('load', onceListener).once('load', removedListener);
+                imgr.off('load', removedListener);
+
+                imgr.emit('load', [image], [image]);
+                imgr.emit('load', [image], [image]);
+                expect(listener.callCount).to.equal(2);
+                expect(listener.calledWith(image)).to.equal(true);
+                expect(listener.calledOn(imgr)).to.equal(true);
+                expect(onceListener.callCount).to.equal(1);
+                expect(removedListener.called).to.equal(false);
+
+                imgr.off('load');
+                imgr.emit('load', [image], [image]);
+                expect(listener.callCount).to.equal(2);
+            });
+
+            it('should emit the image events and dispatch them as DOM events', function (done) {
+                fixtures = loadFixtures('regular');
+                var imgr = new Imager(fixtures.querySelectorAll('#main .delayed-image-load'));
+                var loadListener = sandbox.spy();
+                var domListener = sandbox.spy();
+
+                fixtures.addEventListener('imager:load', domListener);
+                imgr.on('load', loadListener);
+
+                imgr.on('ready', function () {
+                    var image = imgr.divs[0];
+
+                    image.onload();
+
+                    expect(loadListener.calledWith(image)).to.equal(true);
+                    expect(domListener.callCount).to.equal(1);
+                    expect(domListener.firstCall.args[0].target).to.equal(image);
+                    expect(domListener.firstCall.args[0].detail.imager).to.equal(imgr);
+
+                    fixtures.removeEventListener('imager:load', domListener);
+                    done();
+                });
+            });
+
+            it('should emit the lazyloaded images once visible', function (done) {
+                fixtures = loadFixtures('regular');
+                var originalObserver = window.IntersectionObserver;
+                var visibleListener = sandbox.spy();
+
+                window.IntersectionObserver = function () {
+                    this.observe = this.unobserve = this.disconnect = function () {};
+                };
+
+                var imgr = new Imager(fixtures.querySelectorAll('#main .delayed-image-load'), { lazyload: true });
+                imgr.on('lazyload:visible', visibleListener);
+
+                imgr.ready(function () {
+                    window.IntersectionObserver = originalObserver;
+                    imgr.intersectionCheck([{ target: imgr.divs[1], isIntersecting: true }]);
+
+                    expect(visibleListener.calledWith([imgr.divs[1]])).to.equal(true);
+
+                    done();
+                });
+            });
+        });
+
+        // Promises are not available in every tested browser
+        (Imager.Promise ? describe : describe.skip)('whenReady, whenLoaded and load', function () {
+            beforeEach(function () {
+                fixtures = loadFixtures('regular');
+            });
+
+            it('should resolve once Imager is ready', function () {
+                var imgr = new Imager(fixtures.querySelectorAll('#main .delayed-image-load'));
+
+                return imgr.whenReady().then(function (instance) {
+                    expect(instance).to.equal(imgr);
+                    expect(imgr.initialized).to.equal(true);
+
+                    return imgr.whenReady();
+                });
+            });
+
+            it('should resolve once the images matching the placeholders have loaded', function () {
+                var placeholders = fixtures.querySelectorAll('#main .delayed-image-load');
+                var imgr = new Imager(placeholders);
+                var promise = imgr.whenLoaded([placeholders[0], placeholders[1]]);
+
+                imgr.ready(function () {
+                    imgr.divs[1].onload();
+                    imgr.divs[0].onload();
+                });
+
+                return promise.then(function (images) {
+                    expect(images).to.eql([imgr.divs[0], imgr.divs[1]]);
+                });
+            });
+
+            it('should reject if an image has definitely failed to load', function () {
+                var imgr = new Imager(fixtures.querySelectorAll('#main .delayed-image-load'));
+                var promise = imgr.whenLoaded([imgr.divs[2]]);
+
+                imgr.ready(function () {
+                    imgr.divs[2].onerror();
+                });
+
+                return promise.then(function () {
+                    throw new Error('The promise should have been rejected');
+                }, function (error) {
+                    expect(error.image).to.equal(imgr.divs[2]);
+                    expect(error.src).to.equal('base/test/fixtures/media/C-320.jpg');
+                });
+            });
+
+            it('should resolve with the images already loaded whose source was not replaced', function () {
+                var imgr = new Imager(fixtures.querySelectorAll('#main .delayed-image-load'));
+                var image = { src: 'base/test/fixtures/media/A-640.jpg', className: imgr.className, complete: true, naturalWidth: 640 };
+
+                return imgr.whenImageLoaded(image).then(function (loadedImage) {
+                    expect(loadedImage).to.equal(image);
+                });
+            });
+
+            it('should reject if an element is unknown to the instance', function () {
+                var imgr = new Imager(fixtures.querySelectorAll('#main .delayed-image-load'));
+                var element = document.createElement('div');
+
+                return imgr.whenLoaded([element]).then(function () {
+                    throw new Error('The promise should have been rejected');
+                }, function (error) {
+                    expect(error.element).to.equal(element);
+                });
+            });
+
+            it('should force the loading of a lazyloaded placeholder', function () {
+                sandbox.stub(Imager, 'hasIntersectionObserver').returns(false);
+                var imgr = new Imager(fixtures.querySelectorAll('#main .delayed-image-load'), { lazyload: true });
+                sandbox.stub(imgr, 'isThisElementOnScreen').returns(false);
+
+                return imgr.whenReady().then(function () {
+                    var image = imgr.divs[1];
+                    var promise;
+
+                    expect(imgr.isPlaceholder(image)).to.equal(true);
+
+                    promise = imgr.load(image);
+                    expect(image.getAttribute('src')).to.equal('base/test/fixtures/media/B-320.jpg');
+                    image.onload();
+
+                    return promise;
+                }).then(function (image) {
+                    expect(image).to.equal(imgr.divs[1]);
+                    imgr.destroy();
+                });
+            });
+        });
+
+        describe('onImageLoad and onImageError', function () {
+            it('should run onImageLoad once a responsive image has loaded', function (done) {
+                fixtures = loadFixtures('regular');
+                var imageLoadSpy = sandbox.spy();
+                var imgr = new Imager({ selector: '#main .delayed-image-load', onImageLoad: imageLoadSpy });
+
+                imgr.ready(function () {
+                    var image = imgr.divs[0];
+
+                    expect(imageLoadSpy.called).to.equal(false);
+
+                    image.onload();
+
+                    expect(imageLoadSpy.callCount).to.equal(1);
+                    expect(imageLoadSpy.calledWith(image)).to.equal(true);
+                    expect(image.onload).to.equal(null);
+
+                    done();
+                });
+            });
+
+            it('should retry a failed image with an increasing delay', function () {
+                var clock = sandbox.useFakeTimers();
+                var imageErrorSpy = sandbox.spy();
+                var imgr = new Imager([], { retryAttempts: 2, retryDelay: 100, onImageError: imageErrorSpy });
+                var setImageSrcSpy = sandbox.spy(imgr, 'setImageSrc');
+                var image = document.createElement('img');
+
+                imgr.setImageSrc(image, 'base/test/fixtures/media/D-320.jpg');
+
+                image.onerror();
+                clock.tick(99);
+                expect(setImageSrcSpy.callCount).to.equal(1);
+                clock.tick(1);
+                expect(setImageSrcSpy.secondCall.args).to.eql([image, 'base/test/fixtures/media/D-320.jpg', 1]);
+
+                image.onerror();
+                clock.tick(199);
+                expect(setImageSrcSpy.callCount).to.equal(2);
+                clock.tick(1);
+                expect(setImageSrcSpy.callCount).to.equal(3);
+
+                image.onerror();
+                clock.tick(1000);
+                expect(setImageSrcSpy.callCount).to.equal(3);
+                expect(imageErrorSpy.calledWith(image, 'base/test/fixtures/media/D-320.jpg')).to.equal(true);
+            });
+
+            it('should not retry if the image has been given another source in the meantime', function () {
+                var clock = sandbox.useFakeTimers();
+                var imgr = new Imager([], { retryAttempts: 1, retryDelay: 100 });
+                var setImageSrcSpy = sandbox.spy(imgr, 'setImageSrc');
+                var image = document.createElement('img');
+
+                imgr.setImageSrc(image, 'base/test/fixtures/media/D-320.jpg');
+                image.onerror();
+                image.src = 'base/test/fixtures/media/A-320.jpg';
+                clock.tick(100);
+
+                expect(setImageSrcSpy.callCount).to.equal(1);
+            });
+
+            it('should cancel a pending retry when the instance is destroyed', function () {
+                var clock = sandbox.useFakeTimers();
+                var imgr = new Imager([], { retryAttempts: 1, retryDelay: 100 });
+                var setImageSrcSpy = sandbox.spy(imgr, 'setImageSrc');
+                var image = document.createElement('img');
+
+                imgr.setImageSrc(image, 'base/test/fixtures/media/D-320.jpg');
+                imgr.divs = [image];
+                image.onerror();
+                imgr.destroy();
+                clock.tick(100);
+
+                expect(setImageSrcSpy.callCount).to.equal(1);
+                expect(image.onerror).to.equal(null);
+            });
+
+            it('should swap the data-fallback-src after the final failure', function (done) {
+                fixtures = loadFixtures('fallback');
+                var imageErrorSpy = sandbox.spy();
+                var imgr = new Imager({ selector: '#main .delayed-image-load', availableWidths: [320], onImageError: imageErrorSpy });
+
+                imgr.ready(function () {
+                    var image = imgr.divs[0];
+
+                    expect(image.getAttribute('data-fallback-src')).to.equal('base/test/fixtures/media/A-320.jpg');
+
+                    image.onerror();
+
+                    expect(imageErrorSpy.calledWith(image, 'base/test/fixtures/media/D-320.jpg')).to.equal(true);
+                    expect(image.getAttribute('src')).to.equal('base/test/fixtures/media/A-320.jpg');
+
+                    done();
+                });
+            });
+        });
+
+        describe('maxConcurrentLoads', function () {
+            function isLoading (image) {
+                return !/^data:/.test(image.getAttribute('src'));
+            }
+
+            it('should only load a limited number of images at once', function (done) {
+                fixtures = loadFixtures('regular');
+                var imgr = new Imager(fixtures.querySelectorAll('.delayed-image-load'), { availableWidths: [320], maxConcurrentLoads: 2 });
+
+                imgr.ready(function () {
+                    expect(imgr.divs.filter(isLoading)).to.have.length(2);
+                    expect(imgr.queue).to.have.length(3);
+
+                    imgr.loading[0].onload();
+
+                    expect(imgr.divs.filter(isLoading)).to.have.length(3);
+                    expect(imgr.loading).to.have.length(2);
+                    expect(imgr.queue).to.have.length(2);
+
+                    done();
+                });
+            });
+
+            it('should load the high priority images first', function (done) {
+                fixtures = loadFixtures('priority');
+                var imgr = new Imager(fixtures.querySelectorAll('.delayed-image-load'), { availableWidths: [320], maxConcurrentLoads: 1 });
+
+                imgr.ready(function () {
+                    expect(imgr.loading).to.eql([imgr.divs[2]]);
+                    expect(imgr.divs[2].getAttribute('src')).to.equal('base/test/fixtures/media/C-320.jpg');
+                    expect(isLoading(imgr.divs[0])).to.equal(false);
+
+                    done();
+                });
+            });
+
+            it('should rank the other images by distance from the viewport', function () {
+                var imgr = new Imager([]);
+                var image = document.createElement('img');
+                var rectStub = sandbox.stub(image, 'getBoundingClientRect');
+
+                imgr.viewportHeight = 600;
+
+                rectStub.returns({ top: 100, bottom: 300 });
+                expect(imgr.getLoadPriority(image)).to.equal(0);
+
+                rectStub.returns({ top: 1000, bottom: 1200 });
+                expect(imgr.getLoadPriority(image)).to.equal(400);
+
+                rectStub.returns({ top: -500, bottom: -300 });
+                expect(imgr.getLoadPriority(image)).to.equal(300);
+
+                image.setAttribute('data-priority', 'high');
+                expect(imgr.getLoadPriority(image)).to.equal(-1);
+            });
+        });
+
+        describe('prefetch', function () {
+            beforeEach(function () {
+                fixtures = loadFixtures('data-src-new');
+                sandbox.stub(Imager, 'requestIdleCallback').callsArg(0);
+                sandbox.stub(Imager, 'prefetchImage');
+            });
+
+            it('should preload the next larger width of a visible image once loaded', function (done) {
+                var imgr = new Imager(fixtures.querySelectorAll('.delayed-image-load'), { availableWidths: [320, 640, 1024], prefetch: true });
+                sandbox.stub(imgr, 'isThisElementOnScreen').returns(true);
+
+                imgr.ready(function () {
+                    var image = imgr.divs[1];
+
+                    expect(Imager.prefetchImage.called).to.equal(false);
+
+                    image.onload();
+                    expect(Imager.prefetchImage.callCount).to.equal(1);
+                    expect(Imager.prefetchImage.calledWith('base/test/fixtures/media/B-1024.jpg')).to.equal(true);
+
+                    imgr.prefetchNextWidth(image);
+                    expect(Imager.prefetchImage.callCount).to.equal(1);
+
+                    done();
+                });
+            });
+
+            it('should not preload anything for offscreen images, the largest width or if the option is disabled', function (done) {
+                var imgr = new Imager(fixtures.querySelectorAll('.delayed-image-load'), { availableWidths: [320, 640], prefetch: true });
+                var onScreenStub = sandbox.stub(imgr, 'isThisElementOnScreen').returns(false);
+
+                imgr.ready(function () {
+                    imgr.divs[2].onload();
+
+                    onScreenStub.returns(true);
+                    imgr.divs[1].onload();
+
+                    imgr.prefetch = false;
+                    imgr.schedulePrefetch(imgr.divs[2]);
+
+                    expect(Imager.prefetchImage.called).to.equal(false);
+
+                    done();
+                });
+            });
+        });
+
+        describe('downgrade', function () {
+            it('should swap to a smaller width if set to always', function (done) {
+                fixtures = loadFixtures('data-src-new');
+                sandbox.stub(Imager, 'getNaturalWidth').returns(640);
+                var imgr = new Imager(fixtures.querySelectorAll('.delayed-image-load'), { availableWidths: [320, 640], downgrade: 'always' });
+
+                imgr.ready(function () {
+                    var image = imgr.divs[1];
+                    var setImageSrcSpy = sandbox.spy(imgr, 'setImageSrc');
+
+                    expect(image.getAttribute('src')).to.equal('base/test/fixtures/media/B-640.jpg');
+
+                    imgr.checkImagesNeedReplacing([image]);
+                    expect(setImageSrcSpy.called).to.equal(false);
+
+                    image.setAttribute('data-width', '320');
+                    imgr.checkImagesNeedReplacing([image]);
+                    expect(image.getAttribute('src')).to.equal('base/test/fixtures/media/B-320.jpg');
+
+                    done();
+                });
+            });
+
+            it('should unload the images far away from the viewport and reload them once they come back if set to offscreen', function (done) {
+                fixtures = loadFixtures('regular');
+                var imgr = new Imager(fixtures.querySelectorAll('.delayed-image-load'), { downgrade: 'offscreen', downgradeOffset: 1000 });
+                var distanceStub = sandbox.stub(imgr, 'getViewportDistance').returns(0);
+
+                imgr.ready(function () {
+                    var image = imgr.divs[0];
+
+                    distanceStub.withArgs(image).returns(1500);
+                    imgr.downgradeCheck();
+
+                    expect(imgr.isPlaceholder(image)).to.equal(true);
+                    expect(imgr.isPlaceholder(imgr.divs[1])).to.equal(false);
+
+                    imgr.checkImagesNeedReplacing(imgr.divs);
+                    expect(imgr.isPlaceholder(image)).to.equal(true);
+
+                    distanceStub.withArgs(image).returns(800);
+                    imgr.downgradeCheck();
+
+                    expect(image.getAttribute('src')).to.equal('base/test/fixtures/media/A-320.jpg');
+
+                    done();
+                });
+            });
+
+            it('should drop the queued upgrade of an unloaded image', function (done) {
+                fixtures = loadFixtures('regular');
+                var imgr = new Imager(fixtures.querySelectorAll('.delayed-image-load'), { maxConcurrentLoads: 1, downgrade: 'offscreen' });
+
+                imgr.ready(function () {
+                    var image = imgr.queue[0].image;
+                    var queueLength = imgr.queue.length;
+
+                    imgr.unloadImage(image);
+                    expect(imgr.queue).to.have.length(queueLength - 1);
+
+                    imgr.releaseLoadSlot(imgr.loading[0]);
+                    expect(imgr.loading).not.to.contain(image);
+                    expect(imgr.isPlaceholder(image)).to.equal(true);
+
+                    done();
+                });
+            });
+        });
+
+        describe('networkAware', function () {
+            var availableWidths = [320, 640, 1024];
+
+            beforeEach(function () {
+                fixtures = loadFixtures('widths');
+                sandbox.stub(Imager, 'getPixelRatio').returns(2);
+            });
+
+            it('should ignore the network conditions by default', function () {
+                sandbox.stub(Imager, 'getConnection').returns({ effectiveType: '2g' });
+                var imgr = new Imager(fixtures.querySelectorAll('.delayed-image-load'), { availableWidths: availableWidths });
+
+                expect(imgr.devicePixelRatio).to.equal(2);
+                expect(imgr.determineAppropriateResolution(imgr.divs[1])).to.equal(640);
+            });
+
+            it('should cap the pixel ratio and step the width down on slow connections', function () {
+                sandbox.stub(Imager, 'getConnection').returns({ effectiveType: '2g' });
+                var imgr = new Imager(fixtures.querySelectorAll('.delayed-image-load'), { availableWidths: availableWidths, networkAware: true });
+
+                expect(imgr.devicePixelRatio).to.equal(1);
+                expect(imgr.determineAppropriateResolution(imgr.divs[1])).to.equal(320);
+                expect(imgr.determineAppropriateResolution(imgr.divs[4])).to.equal(320);
+            });
+
+            it('should honour the data saver mode', function () {
+                sandbox.stub(Imager, 'getConnection').returns({ effectiveType: '4g', saveData: true });
+                var imgr = new Imager(fixtures.querySelectorAll('.delayed-image-load'), { availableWidths: availableWidths, networkAware: true });
+
+                expect(imgr.devicePixelRatio).to.equal(1);
+            });
+
+            it('should not constrain fast connections or browsers without network information', function () {
+                var connectionStub = sandbox.stub(Imager, 'getConnection').returns({ effectiveType: '4g' });
+
+                expect(new Imager(fixtures.querySelectorAll('.delayed-image-load'), { availableWidths: availableWidths, networkAware: true }).devicePixelRatio).to.equal(2);
+
+                connectionStub.returns(null);
+
+                expect(new Imager(fixtures.querySelectorAll('.delayed-image-load'), { availableWidths: availableWidths, networkAware: true }).devicePixelRatio).to.equal(2);
+            });
+
+            it('should use a custom networkPolicy function', function () {
+                var connection = { effectiveType: '4g', downlink: 0.5 };
+                var policyStub = sandbox.stub().returns({ stepDown: 2 });
+                sandbox.stub(Imager, 'getConnection').returns(connection);
+
+                var imgr = new Imager(fixtures.querySelectorAll('.delayed-image-load'), { availableWidths: availableWidths, networkAware: true, networkPolicy: policyStub });
+
+                expect(policyStub.calledWith(connection)).to.equal(true);
+                expect(imgr.devicePixelRatio).to.equal(2);
+                expect(imgr.determineAppropriateResolution(imgr.divs[5])).to.equal(320);
+            });
+        });
+
+        describe('lqip', function () {
+            beforeEach(function () {
+                fixtures = loadFixtures('lqip');
+            });
+
+            it('should display the smallest width or the data-lqip source as a placeholder', function () {
+                var imgr = new Imager('#main .delayed-image-load', { availableWidths: [320, 640], lqip: true });
+
+                expect(imgr.divs[0].getAttribute('src')).to.equal('base/test/fixtures/media/B-320.jpg');
+                expect(imgr.divs[1].getAttribute('src')).to.equal(imgr.divs[1].getAttribute('data-lqip'));
+                expect(imgr.divs[0].className).to.equal(imgr.className + ' image-lqip');
+                expect(imgr.isPlaceholder(imgr.divs[0])).to.equal(true);
+            });
+
+            it('should keep the low quality image until the full resolution one is decoded', function (done) {
+                var imgr = new Imager('#main .delayed-image-load', { availableWidths: [320, 640], lqip: true });
+                var decodeStub = sandbox.stub(Imager, 'decodeImage');
+
+                imgr.ready(function () {
+                    var image = imgr.divs[1];
+                    var lowQualitySrc = image.getAttribute('src');
+
+                    expect(imgr.isPlaceholder(image)).to.equal(false);
+
+                    image.imagerLoader.onload();
+                    expect(image.getAttribute('src')).to.equal(lowQualitySrc);
+
+                    decodeStub.firstCall.args[1]();
+                    expect(image.getAttribute('src')).to.equal(image.imagerPendingSrc);
+                    expect(image.className).to.equal(imgr.className);
+
+                    done();
+                });
+            });
+
+            it('should not display the full resolution image if another one has been requested in the meantime', function (done) {
+                var imgr = new Imager('#main .delayed-image-load', { availableWidths: [320, 640], lqip: true });
+                sandbox.stub(Imager, 'decodeImage', function (image, callback) {
+                    callback();
+                });
+
+                imgr.ready(function () {
+                    var image = imgr.divs[1];
+                    var loader = image.imagerLoader;
+
+                    imgr.setImageSrc(image, 'base/test/fixtures/media/C-640.jpg');
+                    loader.onload();
+
+                    expect(image.getAttribute('src')).to.equal(image.getAttribute('data-lqip'));
+
+                    done();
+                });
+            });
+        });
+
+        describe('lazyload', function () {
+            var originalObserver = window.IntersectionObserver;
+
+            function FakeObserver (callback, options) {
+                FakeObserver.instance = this;
+                this.callback = callback;
+                this.options = options;
+                this.observe = sinon.spy();
+                this.unobserve = sinon.spy();
+                this.disconnect = sinon.spy();
+            }
+
+            afterEach(function () {
+                window.IntersectionObserver = originalObserver;
+                FakeObserver.instance = null;
+            });
+
+            it('should fall back on scroll polling if IntersectionObserver is not available', function (done) {
+                sandbox.stub(Imager, 'hasIntersectionObserver').returns(false);
+                var imgr = new Imager({ lazyload: true });
+
+                imgr.ready(function () {
+                    expect(imgr.observer).to.equal(undefined);
+                    expect(imgr.interval).to.be.ok();
+
+                    window.clearInterval(imgr.interval);
+                    done();
+                });
+            });
+
+            it('should observe the placeholders rather than polling if IntersectionObserver is available', function (done) {
+                fixtures = loadFixtures('regular');
+                window.IntersectionObserver = FakeObserver;
+                var scrollCheckSpy = sandbox.spy(Imager.prototype, 'scrollCheck');
+                var imgr = new Imager({ selector: '#main .delayed-image-load', lazyload: true, lazyloadOffset: 300 });
+
+                imgr.ready(function () {
+                    expect(imgr.interval).to.equal(undefined);
+                    expect(imgr.observer).to.equal(FakeObserver.instance);
+                    expect(imgr.observer.options.rootMargin).to.equal('0px 300px 300px 0px');
+                    expect(imgr.observer.options.root).to.equal(null);
+                    expect(imgr.observer.observe.callCount).to.equal(3);
+                    expect(scrollCheckSpy.called).to.equal(false);
+
+                    done();
+                });
+            });
+
+            it('should keep track of the viewport dimensions if IntersectionObserver is available', function (done) {
+                fixtures = loadFixtures('regular');
+                window.IntersectionObserver = FakeObserver;
+                var registerEventSpy = sandbox.spy(Imager.prototype, 'registerEvent');
+                var imgr = new Imager({ selector: '#main .delayed-image-load', lazyload: true });
+
+                imgr.ready(function () {
+                    imgr.viewportHeight = -1;
+                    registerEventSpy.withArgs(window, 'resize').firstCall.args[2]();
+                    expect(imgr.viewportHeight).to.equal(document.documentElement.clientHeight);
+
+                    done();
+                });
+            });
+
+            it('should replace the intersecting placeholders only', function (done) {
+                fixtures = loadFixtures('regular');
+                window.IntersectionObserver = FakeObserver;
+                var imgr = new Imager({ selector: '#main .delayed-image-load', lazyload: true });
+
+                imgr.ready(function () {
+                    imgr.observer.callback([
+                        { target: imgr.divs[0], isIntersecting: true, intersectionRatio: 1 },
+                        { target: imgr.divs[1], isIntersecting: false, intersectionRatio: 0 }
+                    ]);
+
+                    expect(imgr.observer.unobserve.callCount).to.equal(1);
+                    expect(imgr.isPlaceholder(imgr.divs[0])).to.equal(false);
+                    expect(imgr.isPlaceholder(imgr.divs[1])).to.equal(true);
+
+                    done();
+                });
+            });
+
+            it('should observe the intersections with the scrollRoot element', function (done) {
+                fixtures = loadFixtures('regular');
+                window.IntersectionObserver = FakeObserver;
+                var scrollRoot = fixtures.querySelector('#main');
+                var imgr = new Imager({ lazyload: true, scrollRoot: scrollRoot });
+
+                imgr.ready(function () {
+                    expect(imgr.observer.options.root).to.equal(scrollRoot);
+
+                    done();
+                });
+            });
+
+            it('should listen to the scroll events of the scrollRoot element if IntersectionObserver is not available', function (done) {
+                fixtures = loadFixtures('regular');
+                sandbox.stub(Imager, 'hasIntersectionObserver').returns(false);
+                var scrollRoot = fixtures.querySelector('#main');
+                var imgr = new Imager({ lazyload: true, scrollRoot: scrollRoot });
+                var registerEventSpy = sandbox.spy(imgr, 'registerEvent');
+
+                imgr.ready(function () {
+                    expect(registerEventSpy.calledWith(window, 'scroll')).to.equal(true);
+                    expect(registerEventSpy.calledWith(scrollRoot, 'scroll')).to.equal(true);
+
+                    imgr.destroy();
+                    done();
+                });
+            });
+
+            it('should disconnect the observer once destroyed', function (done) {
+                window.IntersectionObserver = FakeObserver;
+                var imgr = new Imager({ lazyload: true });
+
+                imgr.ready(function () {
+                    imgr.destroy();
+
+                    expect(FakeObserver.instance.disconnect.callCount).to.equal(1);
+                    expect(imgr.observer).to.equal(null);
+
+                    done();
+                });
+            });
+        });
+
+        describe('observe', function () {
+            var originalObserver = window.MutationObserver;
+
+            function FakeObserver (callback) {
+                FakeObserver.instance = this;
+                this.callback = callback;
+                this.observe = sinon.spy();
+                this.disconnect = sinon.spy();
+            }
+
+            beforeEach(function () {
+                fixtures = loadFixtures('add');
+                window.MutationObserver = FakeObserver;
+            });
+
+            afterEach(function () {
+                window.MutationObserver = originalObserver;
+                FakeObserver.instance = null;
+            });
+
+            it('should not watch the document by default', function (done) {
+                var imgr = new Imager();
+
+                imgr.ready(function () {
+                    expect(imgr.mutationObserver).to.equal(undefined);
+                    done();
+                });
+            });
+
+            it('should watch the subtree of the observeRoot element', function (done) {
+                var root = document.getElementById('test-case');
+                var imgr = new Imager({ observe: true, observeRoot: root });
+
+                imgr.ready(function () {
+                    expect(imgr.mutationObserver.observe.calledWith(root, { childList: true, subtree: true })).to.equal(true);
+
+                    imgr.destroy();
+                    expect(FakeObserver.instance.disconnect.callCount).to.equal(1);
+
+                    done();
+                });
+            });
+
+            it('should add the inserted placeholders matching the selector', function (done) {
+                var imgr = new Imager('.triggered-image-load', { observe: true });
+
+                imgr.ready(function () {
+                    var container = document.createElement('div');
+                    container.innerHTML = '<div class="triggered-image-load" data-src="http://placehold.it/{width}x100"></div>';
+                    fixtures.appendChild(container);
+
+                    imgr.mutationObserver.callback([{ addedNodes: [container], removedNodes: [] }]);
+                    expect(imgr.divs).to.have.length(3);
+                    expect(imgr.divs[2]).to.have.property('nodeName', 'IMG');
+
+                    imgr.mutationObserver.callback([{ addedNodes: [imgr.divs[2]], removedNodes: [] }]);
+                    expect(imgr.divs).to.have.length(3);
+
+                    done();
+                });
+            });
+
+            it('should lazyload the inserted placeholders if lazyload is enabled', function (done) {
+                var originalIntersectionObserver = window.IntersectionObserver;
+                var observeSpy = sinon.spy();
+
+                window.IntersectionObserver = function () {
+                    this.observe = observeSpy;
+                    this.unobserve = sinon.spy();
+                    this.disconnect = sinon.spy();
+                };
+
+                var imgr = new Imager('.triggered-image-load', { observe: true, lazyload: true });
+
+                imgr.ready(function () {
+                    var container = document.createElement('div');
+                    container.innerHTML = '<div class="triggered-image-load" data-src="http://placehold.it/{width}x100"></div>' +
+                        '<div class="triggered-image-load" data-src="http://placehold.it/{width}x200" data-lazyload="false"></div>';
+                    fixtures.appendChild(container);
+
+                    imgr.mutationObserver.callback([{ addedNodes: [container], removedNodes: [] }]);
+                    window.IntersectionObserver = originalIntersectionObserver;
+
+                    expect(imgr.isPlaceholder(imgr.divs[2])).to.equal(true);
+                    expect(observeSpy.calledWith(imgr.divs[2])).to.equal(true);
+                    expect(imgr.isPlaceholder(imgr.divs[3])).to.equal(false);
+                    expect(observeSpy.calledWith(imgr.divs[3])).to.equal(false);
+
+                    done();
+                });
+            });
+
+            it('should forget the images removed from the document', function (done) {
+                var imgr = new Imager({ observe: true });
+
+                imgr.ready(function () {
+                    var image = imgr.divs[0];
+                    image.parentNode.removeChild(image);
+
+                    imgr.mutationObserver.callback([{ addedNodes: [], removedNodes: [image] }]);
+
+                    expect(imgr.divs).to.have.length(1);
+                    expect(imgr.divs[0]).not.to.equal(image);
+
+                    done();
+                });
+            });
+        });
+
+        describe('container resize', function () {
+            var originalObserver = window.ResizeObserver;
+
+            function FakeObserver (callback) {
+                FakeObserver.instance = this;
+                this.callback = callback;
+                this.observe = sinon.spy();
+                this.unobserve = sinon.spy();
+                this.disconnect = sinon.spy();
+            }
+
+            beforeEach(function () {
+                fixtures = loadFixtures('regular');
+                window.ResizeObserver = FakeObserver;
+            });
+
+            afterEach(function () {
+                window.ResizeObserver = originalObserver;
+                FakeObserver.instance = null;
+            });
+
+            it('should observe the containers rather than the window', function (done) {
+                var imgr = new Imager('#main .delayed-image-load');
+                var registerEventSpy = sandbox.spy(imgr, 'registerEvent');
+
+                imgr.ready(function () {
+                    expect(registerEventSpy.called).to.equal(false);
+                    expect(imgr.resizeObserver.observe.callCount).to.equal(3);
+                    expect(imgr.resizeObserver.observe.alwaysCalledWith(fixtures.querySelector('#main'))).to.equal(true);
+
+                    done();
+                });
+            });
+
+            it('should only update the images of the containers whose width has changed', function (done) {
+                var imgr = new Imager(fixtures.querySelectorAll('.delayed-image-load'));
+                var main = fixtures.querySelector('#main');
+
+                imgr.ready(function () {
+                    var checkSpy = sandbox.spy(imgr, 'checkImagesNeedReplacing');
+
+                    imgr.resizeObserver.callback([
+                        { target: main, contentRect: { width: 600 } },
+                        { target: fixtures, contentRect: { width: 800 } }
+                    ]);
+                    expect(checkSpy.called).to.equal(false);
+
+                    imgr.resizeObserver.callback([
+                        { target: main, contentRect: { width: 320 } },
+                        { target: fixtures, contentRect: { width: 800 } }
+                    ]);
+                    expect(checkSpy.callCount).to.equal(1);
+                    expect(checkSpy.firstCall.args[0]).to.eql([imgr.divs[1], imgr.divs[2], imgr.divs[3]]);
+
+                    done();
+                });
+            });
+
+            it('should keep the container widths per instance', function (done) {
+                var first = new Imager(fixtures.querySelectorAll('.delayed-image-load'));
+                var second = new Imager(fixtures.querySelectorAll('.delayed-image-load'));
+                var main = fixtures.querySelector('#main');
+
+                first.ready(function () {
+                    second.ready(function () {
+                        var firstSpy = sandbox.spy(first, 'checkImagesNeedReplacing');
+                        var secondSpy = sandbox.spy(second, 'checkImagesNeedReplacing');
+
+                        first.resizeObserver.callback([{ target: main, contentRect: { width: 600 } }]);
+                        second.resizeObserver.callback([{ target: main, contentRect: { width: 600 } }]);
+
+                        first.resizeObserver.callback([{ target: main, contentRect: { width: 800 } }]);
+                        second.resizeObserver.callback([{ target: main, contentRect: { width: 800 } }]);
+
+                        expect(firstSpy.callCount).to.equal(1);
+                        expect(secondSpy.callCount).to.equal(1);
+
+                        done();
+                    });
+                });
+            });
+
+            it('should stop observing the containers of the removed images', function (done) {
+                var imgr = new Imager(fixtures.querySelectorAll('#main .delayed-image-load'));
+                var main = fixtures.querySelector('#main');
+
+                imgr.ready(function () {
+                    imgr.resizeObserver.callback([{ target: main, contentRect: { width: 600 } }]);
+
+                    imgr.remove([imgr.divs[0]]);
+                    expect(imgr.resizeObserver.unobserve.called).to.equal(false);
+                    expect(imgr.containerWidths).to.have.length(1);
+
+                    imgr.remove(imgr.divs.slice());
+                    expect(imgr.resizeObserver.unobserve.calledWith(main)).to.equal(true);
+                    expect(imgr.containerWidths).to.have.length(0);
+
+                    done();
+                });
+            });
+
+            it('should observe the containers of the images added later on', function (done) {
+                fixtures.appendChild(document.createElement('p')).innerHTML = '<span class="late" data-src="base/test/fixtures/media/A-320.jpg"></span>';
+                var imgr = new Imager('#main .delayed-image-load');
+
+                imgr.ready(function () {
+                    imgr.add('.late');
+
+                    expect(imgr.resizeObserver.observe.lastCall.args[0]).to.have.property('nodeName', 'P');
+
+                    done();
+                });
+            });
+        });
+
         describe('onresize', function () {
             it('should update the viewportHeight internal on window resize if lazyloading is enabled', function(){
                 var imgr = new Imager({ lazyload: true });